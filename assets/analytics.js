@@ -0,0 +1,466 @@
+import { ThemeEvents, SlideshowSelectEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { CART_SYNC_SOURCE } from '@theme/cart-sync';
+
+/**
+ * @typedef {import('./cart-store').Cart} Cart
+ * @typedef {import('./cart-store').CartLineItem} CartLineItem
+ * @typedef {import('./events').VariantUpdateEvent} VariantUpdateEvent
+ * @typedef {import('./events').CartAddEvent} CartAddEvent
+ * @typedef {import('./events').CartUpdateEvent} CartUpdateEvent
+ * @typedef {import('./events').FilterUpdateEvent} FilterUpdateEvent
+ * @typedef {import('./events').ZoomMediaSelectedEvent} ZoomMediaSelectedEvent
+ */
+
+/**
+ * @typedef {'view_item' | 'add_to_cart' | 'remove_from_cart' | 'view_item_list' | 'search' | 'filter_applied' | 'select_promotion' | 'select_content'} AnalyticsEventName
+ */
+
+/**
+ * @typedef {Object} AnalyticsItem
+ * @property {string} item_id - The id of the product
+ * @property {string} [item_variant] - The id of the variant
+ * @property {string} [item_name] - The name of the product or variant
+ * @property {string} [sku] - The SKU of the variant
+ * @property {number} [price] - The price of a single item, in the currency's major unit
+ * @property {number} [quantity] - The number of items
+ * @property {number} [index] - The position of the item in a list
+ */
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {AnalyticsEventName} name - The name of the event
+ * @property {Record<string, any>} payload - The event data
+ * @property {number} timestamp - When the event happened
+ */
+
+/**
+ * @typedef {Object} AnalyticsSink
+ * @property {string} name - The name of the sink
+ * @property {(event: AnalyticsEvent) => void} send - Sends an event to the sink
+ */
+
+/**
+ * @typedef {Object} AnalyticsPageData
+ * @property {string} template - The name of the page template
+ * @property {string} currency - The currency of the prices on the page
+ * @property {string} [searchTerm] - The search terms of a search results page
+ * @property {{ id: number, name: string } | null} [list] - The collection listed on the page
+ * @property {{ id: number, variant: Record<string, any> | null } | null} [product] - The product shown on the page
+ */
+
+/**
+ * Publishes events to Shopify customer events, where web pixels apply the visitor's privacy settings
+ * @type {AnalyticsSink}
+ */
+export const shopifySink = {
+  name: 'shopify',
+  send({ name, payload }) {
+    window.Shopify?.analytics?.publish(`theme:${name}`, payload);
+  },
+};
+
+/**
+ * Pushes events to the Google Tag Manager data layer, using the ecommerce format
+ * @type {AnalyticsSink}
+ */
+export const dataLayerSink = {
+  name: 'data-layer',
+  send({ name, payload }) {
+    window.dataLayer = window.dataLayer || [];
+
+    // Clear the previous ecommerce object so its values aren't merged into this event
+    window.dataLayer.push({ ecommerce: null });
+    window.dataLayer.push({ event: name, ecommerce: payload });
+  },
+};
+
+/**
+ * Logs events to the console, e.g. to check the events while testing the theme
+ * @type {AnalyticsSink}
+ */
+export const consoleSink = {
+  name: 'console',
+  send({ name, payload }) {
+    console.info(`[analytics] ${name}`, payload);
+  },
+};
+
+/**
+ * Translates the theme events into commerce analytics events and sends them to the sinks.
+ *
+ * Nothing is sent until the visitor has consented to analytics. Events that happen while the consent banner
+ * is still open are held back, and dropped if the visitor declines.
+ *
+ * Variant selections are reported as `view_item` once the variant has loaded, since that's when its price is known.
+ */
+class Analytics {
+  /** @static @constant {number} The maximum number of events held back while waiting for consent */
+  static #MAX_QUEUED_EVENTS = 50;
+
+  /**
+   * @type {Set<AnalyticsSink>}
+   */
+  #sinks = new Set([shopifySink, dataLayerSink]);
+
+  /**
+   * Whether the visitor consented to analytics, or null while they haven't decided
+   * @type {boolean | null}
+   */
+  #consent = null;
+
+  /**
+   * The events waiting for consent
+   * @type {AnalyticsEvent[]}
+   */
+  #queue = [];
+
+  /**
+   * The cart lines after the last cart update, by line key, used to work out what was added or removed
+   * @type {Map<string, CartLineItem> | null}
+   */
+  #cartLines = null;
+
+  /**
+   * @type {AnalyticsPageData | null}
+   */
+  #page = null;
+
+  /**
+   * The last search terms reported, so filtering search results doesn't report the search again
+   * @type {string | null}
+   */
+  #searchTerm = null;
+
+  constructor() {
+    document.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected);
+    document.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect);
+    document.addEventListener('visitorConsentCollected', this.#readConsent);
+
+    this.#trackPage();
+    this.#loadConsent();
+  }
+
+  /**
+   * Adds a sink that receives the events
+   * @param {AnalyticsSink} sink - The sink to add
+   * @returns {() => void} A function that removes the sink
+   */
+  addSink(sink) {
+    this.#sinks.add(sink);
+
+    return () => this.#sinks.delete(sink);
+  }
+
+  /**
+   * Sends an event to the sinks, once the visitor has consented to analytics
+   * @param {AnalyticsEventName} name - The name of the event
+   * @param {Record<string, any>} payload - The event data
+   */
+  track(name, payload) {
+    /** @type {AnalyticsEvent} */
+    const event = { name, payload, timestamp: Date.now() };
+
+    if (this.#consent === null) {
+      this.#queue.push(event);
+      if (this.#queue.length > Analytics.#MAX_QUEUED_EVENTS) this.#queue.shift();
+      return;
+    }
+
+    if (this.#consent) this.#send(event);
+  }
+
+  /**
+   * @param {AnalyticsEvent} event
+   */
+  #send(event) {
+    for (const sink of this.#sinks) {
+      try {
+        sink.send(event);
+      } catch (error) {
+        console.error(`Failed to send the ${event.name} event to the ${sink.name} sink:`, error);
+      }
+    }
+  }
+
+  /**
+   * Loads the customer privacy API to find out whether the visitor consented to analytics
+   */
+  #loadConsent() {
+    if (window.Shopify?.customerPrivacy) {
+      this.#readConsent();
+      return;
+    }
+
+    if (!window.Shopify?.loadFeatures) {
+      this.#setConsent(false);
+      return;
+    }
+
+    Shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+      if (error) {
+        console.warn('Analytics events are disabled, the customer privacy API failed to load:', error);
+        this.#setConsent(false);
+        return;
+      }
+
+      this.#readConsent();
+    });
+  }
+
+  /**
+   * Reads the visitor's consent, leaving it undecided while the consent banner waits for an answer
+   */
+  #readConsent = () => {
+    const customerPrivacy = window.Shopify?.customerPrivacy;
+
+    if (!customerPrivacy) return;
+
+    if (customerPrivacy.analyticsProcessingAllowed()) {
+      this.#setConsent(true);
+    } else if (customerPrivacy.currentVisitorConsent().analytics !== '') {
+      this.#setConsent(false);
+    }
+  };
+
+  /**
+   * @param {boolean} consent - Whether the visitor consented to analytics
+   */
+  #setConsent(consent) {
+    this.#consent = consent;
+
+    const queue = this.#queue;
+    this.#queue = [];
+
+    if (!consent) return;
+
+    if (!this.#cartLines) {
+      cartStore
+        .getCart()
+        .then((cart) => {
+          if (!this.#cartLines) this.#cartLines = this.#getCartLines(cart);
+        })
+        .catch((error) => console.error(error));
+    }
+
+    for (const event of queue) this.#send(event);
+  }
+
+  /**
+   * Reports the product, collection or search results shown on the page
+   */
+  #trackPage() {
+    const data = document.getElementById('analytics-page-data')?.textContent;
+    if (!data) return;
+
+    try {
+      this.#page = JSON.parse(data);
+    } catch (error) {
+      console.error('Failed to read the analytics page data:', error);
+      return;
+    }
+
+    const page = this.#page;
+    if (!page) return;
+
+    if (page.template === 'product' && page.product?.variant) {
+      this.#trackViewItem(String(page.product.id), page.product.variant);
+    }
+
+    if (page.template === 'search' && page.searchTerm) {
+      this.#searchTerm = page.searchTerm;
+      this.track('search', { search_term: page.searchTerm });
+    }
+
+    if (page.template === 'collection' || page.template === 'search') {
+      /** @type {AnalyticsItem[]} */
+      const items = Array.from(document.querySelectorAll('product-card[data-product-id]'), (card, index) => ({
+        item_id: card.getAttribute('data-product-id') ?? '',
+        index,
+      }));
+
+      this.track('view_item_list', {
+        item_list_id: page.list ? String(page.list.id) : page.template,
+        item_list_name: page.list?.name ?? page.searchTerm ?? page.template,
+        items,
+      });
+    }
+  }
+
+  /**
+   * @param {string} productId - The id of the product
+   * @param {Record<string, any>} variant - The variant, as rendered by the `json` filter
+   */
+  #trackViewItem(productId, variant) {
+    const price = variant.price / 100;
+
+    this.track('view_item', {
+      currency: this.#currency,
+      value: price,
+      items: [
+        {
+          item_id: productId,
+          item_variant: String(variant.id),
+          item_name: variant.name,
+          sku: variant.sku || undefined,
+          price,
+        },
+      ],
+    });
+  }
+
+  /**
+   * The currency of the prices on the page
+   * @returns {string}
+   */
+  get #currency() {
+    return cartStore.cart?.currency ?? this.#page?.currency ?? window.Shopify?.currency?.active;
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    const variant = event.detail.resource;
+
+    // Swatches on product cards change the card's image, they don't show the product
+    if (!variant || (event.target instanceof Element && event.target.closest('product-card'))) return;
+    // Refreshes only update the server rendered fragments of the variant that was already viewed
+    if (event.detail.data.refresh) return;
+
+    this.#trackViewItem(event.detail.data.newProduct?.id ?? event.detail.data.productId, variant);
+  };
+
+  /**
+   * Reports the lines added to or removed from the cart
+   * @param {CartAddEvent | CartUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {Cart | undefined} */ (event.detail.resource);
+    if (!cart?.items || event.detail.data.didError) return;
+
+    const previousLines = this.#cartLines;
+    const lines = this.#getCartLines(cart);
+    this.#cartLines = lines;
+
+    // Updates made in other tabs were reported by the tab they were made in
+    if (!previousLines || event.detail.data.source === CART_SYNC_SOURCE) return;
+
+    /** @type {AnalyticsItem[]} */
+    const added = [];
+    /** @type {AnalyticsItem[]} */
+    const removed = [];
+
+    for (const [key, line] of lines) {
+      const difference = line.quantity - (previousLines.get(key)?.quantity ?? 0);
+
+      if (difference > 0) added.push(this.#getLineItem(line, difference));
+      if (difference < 0) removed.push(this.#getLineItem(line, -difference));
+    }
+
+    for (const [key, line] of previousLines) {
+      if (!lines.has(key)) removed.push(this.#getLineItem(line, line.quantity));
+    }
+
+    if (added.length > 0) {
+      this.track('add_to_cart', this.#getItemsPayload(cart.currency, added));
+    }
+
+    if (removed.length > 0) {
+      this.track('remove_from_cart', this.#getItemsPayload(cart.currency, removed));
+    }
+  };
+
+  /**
+   * @param {Cart} cart
+   * @returns {Map<string, CartLineItem>}
+   */
+  #getCartLines(cart) {
+    return new Map(cart.items.map((line) => [line.key, line]));
+  }
+
+  /**
+   * @param {CartLineItem} line - The cart line
+   * @param {number} quantity - The number of items added or removed
+   * @returns {AnalyticsItem}
+   */
+  #getLineItem(line, quantity) {
+    return {
+      item_id: String(line.product_id),
+      item_variant: String(line.variant_id),
+      item_name: line.title,
+      sku: line.sku || undefined,
+      price: line.final_price / 100,
+      quantity,
+    };
+  }
+
+  /**
+   * @param {string} currency - The currency of the prices
+   * @param {AnalyticsItem[]} items - The items
+   * @returns {Record<string, any>}
+   */
+  #getItemsPayload(currency, items) {
+    const value = items.reduce((total, item) => total + (item.price ?? 0) * (item.quantity ?? 1), 0);
+
+    return {
+      currency,
+      value: Math.round(value * 100) / 100,
+      items,
+    };
+  }
+
+  /**
+   * Reports the filters and sorting applied to a collection or search results
+   * @param {FilterUpdateEvent} event
+   */
+  #handleFilterUpdate = (event) => {
+    const { queryParams } = event.detail;
+    const searchTerm = queryParams.get('q');
+
+    if (searchTerm && searchTerm !== this.#searchTerm) {
+      this.#searchTerm = searchTerm;
+      this.track('search', { search_term: searchTerm });
+    }
+
+    this.track('filter_applied', {
+      filters: Array.from(queryParams)
+        .filter(([name]) => name.startsWith('filter.'))
+        .map(([name, value]) => ({ name, value })),
+      sort_by: queryParams.get('sort_by') ?? undefined,
+    });
+  };
+
+  /**
+   * Reports the promotions buyers navigate to in slideshows
+   * @param {SlideshowSelectEvent} event
+   */
+  #handleSlideshowSelect = (event) => {
+    const { slide, index, userInitiated } = event.detail;
+
+    // Product media galleries are slideshows too, only slides marked as promotions are reported
+    if (!userInitiated || !(slide instanceof HTMLElement) || !slide.dataset.promotionId) return;
+
+    this.track('select_promotion', {
+      promotion_id: slide.dataset.promotionId,
+      creative_slot: String(index + 1),
+    });
+  };
+
+  /**
+   * Reports the product media viewed in the zoom dialog
+   * @param {ZoomMediaSelectedEvent} event
+   */
+  #handleZoomMediaSelected = (event) => {
+    this.track('select_content', {
+      content_type: 'product_media',
+      content_id: String(event.detail.index),
+      item_id: this.#page?.product ? String(this.#page.product.id) : undefined,
+    });
+  };
+}
+
+export const analytics = new Analytics();
@@ -0,0 +1,195 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError } from '@theme/cart-store';
+import { formatMoney } from '@theme/money-formatting';
+
+/**
+ * A custom element that sells products together at a bundle discount. Each slot of the bundle has its own variant
+ * picker, and the slots are added to the cart in a single request, sharing the `_bundle_id` line item property.
+ *
+ * @typedef {object} BundleBuilderRefs
+ * @property {HTMLElement[]} slots - The slots of the bundle.
+ * @property {HTMLElement} totalPrice - The total price of the bundle, with the bundle discount.
+ * @property {HTMLElement} [compareAtTotalPrice] - The total price of the bundle, without the bundle discount.
+ * @property {HTMLButtonElement} addButton - The button that adds the bundle to the cart.
+ * @property {HTMLElement} errorMessage - The message of the invalid slots and the cart errors.
+ *
+ * @extends {Component<BundleBuilderRefs>}
+ */
+class BundleBuilderComponent extends Component {
+  requiredRefs = ['slots', 'totalPrice', 'addButton', 'errorMessage'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    this.#renderTotal();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  /**
+   * The slots added to the cart: the required ones, and the optional ones the customer included.
+   * @returns {HTMLElement[]}
+   */
+  get includedSlots() {
+    return this.refs.slots.filter((slot) => {
+      if (slot.dataset.required === 'true') return true;
+
+      const includeInput = slot.querySelector('input[name="bundle_include"]');
+      return includeInput instanceof HTMLInputElement && includeInput.checked;
+    });
+  }
+
+  /**
+   * Updates the variant of the slot the variant picker belongs to.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    // The slots are products of their own, so their variants don't update the rest of the page
+    event.stopPropagation();
+
+    const variant = /** @type {{ id: string, available: boolean, price?: number } | null} */ (event.detail.resource);
+    const slot = this.refs.slots.find((slot) => event.target instanceof Node && slot.contains(event.target));
+
+    if (!slot || !variant) return;
+
+    slot.dataset.variantId = String(variant.id);
+    slot.dataset.price = String(variant.price ?? 0);
+    slot.dataset.available = String(variant.available);
+
+    const price = slot.querySelector('.bundle-builder__slot-price');
+    if (price) price.textContent = this.#formatMoney(variant.price ?? 0);
+
+    this.#setSlotInvalid(slot, false);
+    this.#renderTotal();
+  };
+
+  /**
+   * Renders the total when an optional slot is included or left out.
+   */
+  handleSlotToggle() {
+    for (const slot of this.refs.slots) this.#setSlotInvalid(slot, false);
+
+    this.#renderTotal();
+  }
+
+  /**
+   * Adds the included slots to the cart, once every one of them has an available variant.
+   */
+  addToCart() {
+    const { addButton } = this.refs;
+    const slots = this.includedSlots;
+    const invalidSlot = slots.find((slot) => !slot.dataset.variantId || slot.dataset.available !== 'true');
+
+    if (invalidSlot) {
+      this.#setSlotInvalid(invalidSlot, true);
+      this.#showError(invalidSlot.dataset.errorMessage ?? '');
+
+      const field = invalidSlot.querySelector('input, select');
+      if (field instanceof HTMLElement) field.focus();
+      return;
+    }
+
+    if (slots.length === 0) {
+      this.#showError(this.dataset.emptyMessage ?? '');
+      return;
+    }
+
+    this.#showError('');
+
+    const bundleId = crypto.randomUUID();
+    const formData = new FormData();
+
+    slots.forEach((slot, index) => {
+      formData.append(`items[${index}][id]`, slot.dataset.variantId ?? '');
+      formData.append(`items[${index}][quantity]`, '1');
+      formData.append(`items[${index}][properties][_bundle_id]`, bundleId);
+    });
+
+    /** @type {string[]} */
+    const sections = [];
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sections.push(item.dataset.sectionId);
+      }
+    }
+
+    addButton.disabled = true;
+
+    cartStore
+      .add(formData, {
+        target: this,
+        sourceId: this.id,
+        eventData: {
+          source: 'bundle-builder-component',
+          itemCount: slots.length,
+        },
+        sections,
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
+
+        this.#showError(error.message);
+      })
+      .finally(() => {
+        addButton.disabled = false;
+      });
+  }
+
+  /**
+   * Renders the total of the included slots, with and without the bundle discount.
+   */
+  #renderTotal() {
+    const { totalPrice, compareAtTotalPrice } = this.refs;
+    const discount = Number(this.dataset.discount) || 0;
+    const total = this.includedSlots.reduce((sum, slot) => sum + (Number(slot.dataset.price) || 0), 0);
+    const discountedTotal = Math.round((total * (100 - discount)) / 100);
+
+    totalPrice.textContent = this.#formatMoney(discountedTotal);
+
+    if (compareAtTotalPrice) {
+      compareAtTotalPrice.textContent = this.#formatMoney(total);
+      compareAtTotalPrice.hidden = discountedTotal === total;
+    }
+  }
+
+  /**
+   * @param {HTMLElement} slot - The slot.
+   * @param {boolean} invalid - Whether the slot prevents the bundle from being added to the cart.
+   */
+  #setSlotInvalid(slot, invalid) {
+    slot.toggleAttribute('data-invalid', invalid);
+  }
+
+  /**
+   * @param {string} message - The message, the message is hidden when empty.
+   */
+  #showError(message) {
+    const { errorMessage } = this.refs;
+
+    errorMessage.textContent = message;
+    errorMessage.hidden = message === '';
+  }
+
+  /**
+   * @param {number} price - The price, in minor units.
+   * @returns {string} The formatted price.
+   */
+  #formatMoney(price) {
+    const { moneyFormat = '{{amount}}', currency = Shopify.currency.active } = this.dataset;
+
+    return formatMoney(price, moneyFormat, currency);
+  }
+}
+
+if (!customElements.get('bundle-builder-component')) {
+  customElements.define('bundle-builder-component', BundleBuilderComponent);
+}
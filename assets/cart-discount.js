@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -19,19 +19,6 @@ import { cartPerformance } from '@theme/performance';
 class CartDiscount extends Component {
   requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
 
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
-  #createAbortController() {
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-    return abortController;
-  }
-
   /**
    * Handles updates to the cart note.
    * @param {SubmitEvent} event - The submit event on our form.
@@ -50,8 +37,6 @@ class CartDiscount extends Component {
 
     const discountCodeValue = discountCode.value;
 
-    const abortController = this.#createAbortController();
-
     try {
       const existingDiscounts = this.#existingDiscounts();
       if (existingDiscounts.includes(discountCodeValue)) return;
@@ -60,22 +45,14 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      // The discount update event is only dispatched once the new code is known to be applicable
+      const { cart, sections } = await cartStore.updateDiscounts([...existingDiscounts, discountCodeValue], {
+        sections: [this.dataset.sectionId],
+        silent: true,
       });
 
-      const data = await response.json();
-
       if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+        cart.discount_codes.find((discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
         })
       ) {
@@ -84,7 +61,9 @@ class CartDiscount extends Component {
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = sections[this.dataset.sectionId];
+      if (!newHtml) return;
+
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -98,7 +77,7 @@ class CartDiscount extends Component {
         if (
           codes.length === existingDiscounts.length &&
           codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+          cart.discount_codes.find((discount) => {
             return discount.code === discountCodeValue && discount.applicable === true;
           })
         ) {
@@ -108,11 +87,10 @@ class CartDiscount extends Component {
         }
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
       morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
   };
@@ -146,26 +124,17 @@ class CartDiscount extends Component {
 
     existingDiscounts.splice(index, 1);
 
-    const abortController = this.#createAbortController();
-
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      const { cart, sections } = await cartStore.updateDiscounts(existingDiscounts, {
+        sections: [this.dataset.sectionId],
+        silent: true,
       });
 
-      const data = await response.json();
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
-    } catch (error) {
-    } finally {
-      this.#activeFetch = null;
-    }
+      const newHtml = sections[this.dataset.sectionId];
+      if (newHtml) morphSection(this.dataset.sectionId, newHtml);
+    } catch (error) {}
   };
 
   /**
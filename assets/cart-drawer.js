@@ -1,11 +1,14 @@
 import { DialogComponent, DialogOpenEvent } from '@theme/dialog';
-import { CartAddEvent } from '@theme/events';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { CART_SYNC_SOURCE } from '@theme/cart-sync';
 
 /**
  * A custom element that manages a cart drawer.
  *
  * @typedef {object} Refs
  * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} [pendingNotice] - The notice shown while cart changes are waiting for the network.
  *
  * @extends {DialogComponent}
  */
@@ -16,21 +19,49 @@ class CartDrawerComponent extends DialogComponent {
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.addEventListener(ThemeEvents.cartPending, this.#handleCartPending);
     this.addEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
+
+    this.#renderPendingNotice(cartStore.pendingCount);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.removeEventListener(ThemeEvents.cartPending, this.#handleCartPending);
     this.removeEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    // Don't open the drawer for items added in another tab
+    if (event.detail.data?.source === CART_SYNC_SOURCE) return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
   };
 
+  /**
+   * @param {import('@theme/events').CartPendingEvent} event
+   */
+  #handleCartPending = (event) => {
+    this.#renderPendingNotice(event.detail.data.pendingCount);
+  };
+
+  /**
+   * Shows the pending notice while cart changes are waiting for the network
+   * @param {number} pendingCount - The number of cart changes waiting for the network
+   */
+  #renderPendingNotice(pendingCount) {
+    const { pendingNotice } = /** @type {Refs} */ (this.refs);
+    if (!pendingNotice) return;
+
+    pendingNotice.hidden = pendingCount === 0;
+  }
+
   open() {
     this.showDialog();
 
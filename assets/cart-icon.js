@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
 import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -15,6 +16,9 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -29,6 +33,7 @@ class CartIcon extends Component {
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
     window.addEventListener('pageshow', this.onPageShow);
+    this.#unsubscribe = cartStore.subscribe(this.onCartChange);
     this.ensureCartBubbleIsCorrect();
   }
 
@@ -37,6 +42,7 @@ class CartIcon extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
     window.removeEventListener('pageshow', this.onPageShow);
+    this.#unsubscribe?.();
   }
 
   /**
@@ -50,10 +56,21 @@ class CartIcon extends Component {
   };
 
   /**
-   * Handles the cart update event.
+   * Renders the cart bubble from the cart store.
+   * @param {import('./cart-store').Cart} cart - The new cart.
+   */
+  onCartChange = (cart) => {
+    this.renderCartBubble(cart.item_count, false, cart.item_count !== this.currentCartCount);
+  };
+
+  /**
+   * Handles cart update events that weren't dispatched by the cart store.
    * @param {CartUpdateEvent} event - The cart update event.
    */
   onCartUpdate = async (event) => {
+    // The cart store already notified us through the subscription
+    if (event.detail.resource && event.detail.resource === cartStore.cart) return;
+
     const itemCount = event.detail.data?.itemCount ?? 0;
     const comingFromProductForm = event.detail.data?.source === 'product-form-component';
 
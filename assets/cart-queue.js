@@ -0,0 +1,143 @@
+/**
+ * @typedef {Object} StoredCartMutation
+ * @property {number} [id] - The id of the stored mutation, assigned when it is stored
+ * @property {'add' | 'change' | 'update'} type - The cart endpoint the mutation is sent to
+ * @property {any} body - The body of the request, add mutations store the form data entries
+ * @property {{ sourceId?: string, eventData?: Record<string, any>, silent?: boolean }} options - The mutation options
+ * that can be restored on another page
+ */
+
+/**
+ * Stores cart mutations that couldn't reach the server, so they can be sent once the connection is back.
+ *
+ * The mutations are kept in IndexedDB so they survive navigating away or closing the tab. When IndexedDB
+ * isn't available (e.g. in some private browsing modes), or the queue isn't persistent, they are only kept in
+ * memory for the current page.
+ */
+export class CartQueue {
+  /** @static @constant {string} The name of the database */
+  static #DATABASE_NAME = 'theme-cart-queue';
+  /** @static @constant {string} The name of the object store holding the mutations */
+  static #STORE_NAME = 'mutations';
+
+  /**
+   * @type {Promise<IDBDatabase | null> | null}
+   */
+  #database = null;
+
+  /**
+   * The mutations stored in memory when IndexedDB isn't available
+   * @type {StoredCartMutation[]}
+   */
+  #memory = [];
+
+  /**
+   * The id of the last mutation stored in memory
+   * @type {number}
+   */
+  #lastMemoryId = 0;
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.persistent] - Whether the mutations are kept in IndexedDB, shared by the tabs
+   */
+  constructor({ persistent = true } = {}) {
+    if (!persistent) this.#database = Promise.resolve(null);
+  }
+
+  /**
+   * Stores a mutation at the end of the queue
+   * @param {StoredCartMutation} mutation - The mutation to store
+   * @returns {Promise<number>} The id of the stored mutation
+   */
+  async push(mutation) {
+    const database = await this.#open();
+
+    if (!database) {
+      const id = ++this.#lastMemoryId;
+      this.#memory.push({ ...mutation, id });
+      return id;
+    }
+
+    const id = await this.#request(database, 'readwrite', (store) => store.add(mutation));
+
+    return Number(id);
+  }
+
+  /**
+   * Gets the stored mutations, in the order they were made
+   * @returns {Promise<StoredCartMutation[]>}
+   */
+  async getAll() {
+    const database = await this.#open();
+    if (!database) return [...this.#memory];
+
+    return this.#request(database, 'readonly', (store) => store.getAll());
+  }
+
+  /**
+   * Removes a mutation from the queue
+   * @param {number} id - The id of the mutation
+   */
+  async delete(id) {
+    const database = await this.#open();
+
+    if (!database) {
+      this.#memory = this.#memory.filter((mutation) => mutation.id !== id);
+      return;
+    }
+
+    await this.#request(database, 'readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Opens the database, resolving to null if IndexedDB isn't available
+   * @returns {Promise<IDBDatabase | null>}
+   */
+  #open() {
+    if (this.#database) return this.#database;
+
+    this.#database = new Promise((resolve) => {
+      if (!('indexedDB' in window)) return resolve(null);
+
+      try {
+        const request = indexedDB.open(CartQueue.#DATABASE_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(CartQueue.#STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Cart actions will only be queued for the current page:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('Cart actions will only be queued for the current page:', error);
+        resolve(null);
+      }
+    });
+
+    return this.#database;
+  }
+
+  /**
+   * Runs a request against the object store in its own transaction
+   * @template T
+   * @param {IDBDatabase} database - The open database
+   * @param {IDBTransactionMode} mode - The transaction mode
+   * @param {(store: IDBObjectStore) => IDBRequest<T>} createRequest - Creates the request
+   * @returns {Promise<T>}
+   */
+  #request(database, mode, createRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(CartQueue.#STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(CartQueue.#STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+export const cartQueue = new CartQueue();
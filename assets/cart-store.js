@@ -0,0 +1,873 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartPendingEvent, CartUpdateEvent } from '@theme/events';
+import { CartQueue, cartQueue } from '@theme/cart-queue';
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {string} key - The unique key of the line item
+ * @property {number} id - The id of the line item
+ * @property {number} variant_id - The id of the variant
+ * @property {number} product_id - The id of the product
+ * @property {string} title - The title of the product and variant
+ * @property {string | null} [sku] - The SKU of the variant
+ * @property {number} quantity - The quantity of the line item
+ * @property {number} price - The price of a single item, in minor units
+ * @property {number} final_price - The price of a single item after discounts, in minor units
+ * @property {number} final_line_price - The price of the whole line after discounts, in minor units
+ * @property {number} original_line_price - The price of the whole line before discounts, in minor units
+ * @property {Record<string, string> | null} [properties] - The line item properties
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {CartLineItem[]} items - The line items
+ * @property {number} item_count - The total number of items in the cart
+ * @property {number} total_price - The total price of the cart, in minor units
+ * @property {number} items_subtotal_price - The subtotal of the line items, in minor units
+ * @property {string} currency - The currency of the cart
+ * @property {string | null} note - The cart note
+ * @property {Array<{ code: string, applicable: boolean }>} discount_codes - The discount codes applied to the cart
+ */
+
+/**
+ * @typedef {Object} CartMutationOptions
+ * @property {EventTarget} [target] - The element the cart events are dispatched from, defaults to the document
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {Record<string, any>} [eventData] - Additional data passed along with the dispatched cart event
+ * @property {string[]} [sections] - The ids of the sections to render with the cart response
+ * @property {string} [sectionsUrl] - The URL the sections are rendered for
+ * @property {boolean} [silent] - Whether to skip dispatching cart update and error events, subscribers are still notified
+ * @property {boolean} [optimistic] - Whether to apply the new quantities to the cart before the server responds.
+ * The cart is fetched again if the mutation fails, rolling its optimistic changes back.
+ */
+
+/**
+ * @typedef {Object} CartMutationResult
+ * @property {Cart} cart - The cart after the mutation
+ * @property {Record<string, string>} sections - The rendered sections, keyed by section id
+ * @property {any} response - The raw response from the server
+ */
+
+/**
+ * @typedef {(cart: Cart) => Cart} OptimisticChange
+ */
+
+/**
+ * @typedef {Object} CartMutation
+ * @property {'add' | 'change' | 'update'} type - The cart endpoint the mutation is sent to
+ * @property {any} body - The body of the request, add mutations use the form data entries
+ * @property {CartMutationOptions} options - The mutation options
+ * @property {OptimisticChange} [optimisticChange] - Applies the mutation to a cart before the server responds
+ */
+
+/**
+ * @typedef {(cart: Cart) => void} CartSubscriber
+ */
+
+/**
+ * @typedef {Pick<typeof Theme.routes, 'cart_url' | 'cart_add_url' | 'cart_change_url' | 'cart_update_url'>} CartRoutes
+ */
+
+/**
+ * @typedef {Object} CartStoreOptions
+ * @property {(input: string, init?: RequestInit) => Promise<Response>} [fetch] - Sends the cart requests, e.g. to a
+ * local stub
+ * @property {Partial<CartRoutes>} [routes] - The cart endpoints, the routes of the theme by default
+ * @property {boolean} [persistent] - Whether the mutations that can't reach the server are stored for the other pages
+ * and tabs, and replayed on load and once back online. Only the cart store of the theme is persistent.
+ */
+
+/**
+ * Thrown when the server rejects a cart mutation
+ */
+export class CartError extends Error {
+  /**
+   * @param {string} message - The message from the server response
+   * @param {string} [description] - The description from the server response
+   * @param {Object} [errors] - The errors from the server response
+   */
+  constructor(message, description, errors) {
+    super(message);
+    this.name = 'CartError';
+    this.description = description;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when a cart mutation can't reach the server, or the server can't handle it for now
+ */
+class CartNetworkError extends Error {
+  /**
+   * @param {unknown} cause - The error thrown by fetch, or the reason the response can't be used
+   */
+  constructor(cause) {
+    super('The cart could not be reached');
+    this.name = 'CartNetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * A store that owns the client-side cart state.
+ *
+ * Mutations are serialized so they reach the server in the order they were made, and a mutation
+ * that is superseded by a newer one with the same key before it starts (e.g. the note, or the
+ * quantity of a single line) is coalesced into the newer one.
+ *
+ * Mutations that can't reach the server, or that get a server error or a page that isn't JSON back
+ * (e.g. from a gateway), are stored in the cart queue and sent again, in order, once the browser is
+ * back online. Their promises stay pending until then, and a `cart:pending` event is dispatched so
+ * the UI can show that the changes aren't saved yet.
+ */
+export class CartStore {
+  /** @static @constant {string} The name of the lock held by the tab that replays the stored mutations */
+  static #REPLAY_LOCK = 'theme-cart-queue';
+  /** @static @constant {number} The number of times a stored mutation is sent before it is given up on */
+  static #MAX_ATTEMPTS = 5;
+  /** @static @constant {number} The delay before a stored mutation the server failed is sent again, doubled on each attempt */
+  static #RETRY_DELAY = 2000;
+
+  /**
+   * The latest known cart, with the optimistic changes applied
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The latest cart from the server
+   * @type {Cart | null}
+   */
+  #serverCart = null;
+
+  /**
+   * The optimistic changes of the mutations the server hasn't responded to yet, in the order they were made.
+   * They're applied again on top of every cart from the server until their own mutation responds.
+   * @type {Set<OptimisticChange>}
+   */
+  #optimisticChanges = new Set();
+
+  /**
+   * The pending cart fetch
+   * @type {Promise<Cart> | null}
+   */
+  #pendingFetch = null;
+
+  /**
+   * The mutations that are queued but not started yet, by key
+   * @type {Map<string, { mutation: CartMutation, promise: Promise<CartMutationResult> }>}
+   */
+  #queuedMutations = new Map();
+
+  /**
+   * The promise of the last mutation in the queue
+   * @type {Promise<unknown>}
+   */
+  #queueTail = Promise.resolve();
+
+  /**
+   * @type {Set<CartSubscriber>}
+   */
+  #subscribers = new Set();
+
+  /**
+   * The number of stored mutations waiting for the network
+   * @type {number}
+   */
+  #pendingCount = 0;
+
+  /**
+   * The callbacks of the stored mutations made on this page, by stored mutation id
+   * @type {Map<number, { options: CartMutationOptions, optimisticChange?: OptimisticChange, resolve: (result: CartMutationResult) => void, reject: (error: unknown) => void }>}
+   */
+  #deferredMutations = new Map();
+
+  /**
+   * Sends the cart requests
+   * @type {(input: string, init?: RequestInit) => Promise<Response>}
+   */
+  #fetch;
+
+  /**
+   * The cart endpoints
+   * @type {CartRoutes}
+   */
+  #routes;
+
+  /**
+   * The mutations waiting for the network
+   * @type {CartQueue}
+   */
+  #queue;
+
+  /**
+   * The number of times the stored mutations were sent and failed on the server, by stored mutation id
+   * @type {Map<number, number>}
+   */
+  #attempts = new Map();
+
+  /**
+   * The timeout of the next replay after the server failed a stored mutation
+   * @type {number | undefined}
+   */
+  #retryTimeout;
+
+  /**
+   * @param {CartStoreOptions} [options]
+   */
+  constructor({ fetch = window.fetch.bind(window), routes = {}, persistent = false } = {}) {
+    this.#fetch = fetch;
+    this.#queue = persistent ? cartQueue : new CartQueue({ persistent: false });
+    this.#routes = {
+      cart_url: routes.cart_url ?? Theme.routes.cart_url,
+      cart_add_url: routes.cart_add_url ?? Theme.routes.cart_add_url,
+      cart_change_url: routes.cart_change_url ?? Theme.routes.cart_change_url,
+      cart_update_url: routes.cart_update_url ?? Theme.routes.cart_update_url,
+    };
+
+    if (!persistent) return;
+
+    // Send the mutations left over from a previous page, and the ones stored while offline once the connection is back
+    this.#replay();
+    window.addEventListener('online', () => {
+      clearTimeout(this.#retryTimeout);
+      this.#retryTimeout = undefined;
+      this.#replay();
+    });
+  }
+
+  /**
+   * The latest known cart, or null if it hasn't been fetched yet
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * The number of cart mutations waiting for the network
+   * @returns {number}
+   */
+  get pendingCount() {
+    return this.#pendingCount;
+  }
+
+  /**
+   * Subscribes to cart changes
+   * @param {CartSubscriber} callback - Called with the new cart every time it changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Gets the cart, fetching it if it isn't known yet
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Whether to fetch the cart even if it is already known
+   * @returns {Promise<Cart>}
+   */
+  async getCart({ refresh = false } = {}) {
+    if (this.#cart && !refresh) return this.#cart;
+
+    return this.#fetchCart();
+  }
+
+  /**
+   * Replaces the known cart with one that was updated elsewhere, e.g. in another tab
+   * @param {Cart} cart - The new cart
+   * @returns {Cart}
+   */
+  replaceCart(cart) {
+    this.#setCart(cart);
+
+    return cart;
+  }
+
+  /**
+   * Fetches the cart, sharing the request with any fetch already in flight
+   * @returns {Promise<Cart>}
+   */
+  #fetchCart() {
+    if (this.#pendingFetch) return this.#pendingFetch;
+
+    this.#pendingFetch = this.#fetch(`${this.#routes.cart_url}.js`)
+      .then((response) => {
+        // Error pages aren't carts
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        return response.json();
+      })
+      .then((cart) => {
+        this.#setCart(cart);
+        return cart;
+      })
+      .finally(() => {
+        this.#pendingFetch = null;
+      });
+
+    return this.#pendingFetch;
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {FormData} formData - The add to cart form data
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(formData, options = {}) {
+    return this.#enqueue(null, { type: 'add', body: [...formData.entries()], options });
+  }
+
+  /**
+   * Changes the quantity of a line item
+   * @param {{ line?: number, id?: string, quantity: number, properties?: Record<string, string> }} change - The line to change
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(change, options = {}) {
+    const key = `change:${change.line ?? change.id}`;
+
+    /** @type {OptimisticChange | undefined} */
+    const optimisticChange = options.optimistic
+      ? (cart) =>
+          this.#withQuantities(cart, (item, index) => {
+            // Lines are identified by their 1-based index, or by their key or variant id
+            const isChangedLine = change.line
+              ? index === change.line - 1
+              : item.key === change.id || String(item.variant_id) === change.id;
+
+            return isChangedLine ? change.quantity : undefined;
+          })
+      : undefined;
+
+    return this.#enqueue(key, { type: 'change', body: change, options, optimisticChange });
+  }
+
+  /**
+   * Updates the quantities of multiple variants or line items
+   * @param {Record<string, number>} updates - The new quantities, by variant id or line item key
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(updates, options = {}) {
+    const key = `update:${Object.keys(updates).sort().join(',')}`;
+
+    /** @type {OptimisticChange | undefined} */
+    const optimisticChange = options.optimistic
+      ? (cart) => {
+          /** @type {Set<string>} */
+          const updatedVariants = new Set();
+
+          // Variants that aren't in the cart yet only count towards the item count until the server responds
+          let addedItemCount = 0;
+          for (const [id, quantity] of Object.entries(updates)) {
+            if (!cart.items.some((item) => item.key === id || String(item.variant_id) === id))
+              addedItemCount += quantity;
+          }
+
+          // When a variant has multiple lines, the new quantity is applied to the first one
+          return this.#withQuantities(
+            cart,
+            (item) => {
+              if (item.key in updates) return updates[item.key];
+
+              const variantId = String(item.variant_id);
+              if (!(variantId in updates) || updatedVariants.has(variantId)) return undefined;
+
+              updatedVariants.add(variantId);
+              return updates[variantId];
+            },
+            addedItemCount
+          );
+        }
+      : undefined;
+
+    return this.#enqueue(key, { type: 'update', body: { updates }, options, optimisticChange });
+  }
+
+  /**
+   * Updates the cart note. Doesn't dispatch cart events since the note doesn't affect the rendered cart.
+   * @param {string} note - The new note
+   * @returns {Promise<CartMutationResult>}
+   */
+  updateNote(note) {
+    return this.#enqueue('note', { type: 'update', body: { note }, options: { silent: true } });
+  }
+
+  /**
+   * Replaces the discount codes applied to the cart
+   * @param {string[]} codes - The discount codes
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  updateDiscounts(codes, options = {}) {
+    return this.#enqueue('discount', { type: 'update', body: { discount: codes.join(',') }, options });
+  }
+
+  /**
+   * Adds a mutation to the queue
+   * @param {string | null} key - The key used to coalesce mutations, or null if the mutation can't be coalesced
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartMutationResult>}
+   */
+  #enqueue(key, mutation) {
+    const queued = key ? this.#queuedMutations.get(key) : undefined;
+
+    if (queued) {
+      const { optimisticChange } = queued.mutation;
+      if (optimisticChange) this.#optimisticChanges.delete(optimisticChange);
+
+      queued.mutation = mutation;
+      this.#addOptimisticChange(mutation.optimisticChange);
+
+      return queued.promise;
+    }
+
+    this.#addOptimisticChange(mutation.optimisticChange);
+
+    const entry = { mutation };
+    const step = this.#queueTail.then(() => {
+      if (key) this.#queuedMutations.delete(key);
+      return this.#run(entry.mutation);
+    });
+    const promise = step.then(({ result }) => result);
+
+    if (key) this.#queuedMutations.set(key, Object.assign(entry, { promise }));
+    this.#queueTail = step.catch(() => {});
+
+    return promise;
+  }
+
+  /**
+   * Sends a mutation, or stores it if the server can't be reached.
+   * The result is wrapped so a stored mutation doesn't hold up the queue until it is sent.
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<{ result: Promise<CartMutationResult> }>}
+   */
+  async #run(mutation) {
+    // Mutations made while others are waiting for the network are stored behind them to keep the order
+    if (this.#pendingCount > 0) {
+      const deferred = await this.#defer(mutation);
+
+      // The server may be reachable again without an online event, e.g. after a brief outage, unless it is backing off
+      if (navigator.onLine && this.#retryTimeout === undefined) this.#replay();
+
+      return deferred;
+    }
+
+    try {
+      return { result: Promise.resolve(await this.#send(mutation)) };
+    } catch (error) {
+      if (!(error instanceof CartNetworkError)) throw error;
+
+      return this.#defer(mutation);
+    }
+  }
+
+  /**
+   * Sends a mutation to its cart endpoint
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<CartMutationResult>}
+   */
+  #send({ type, body, options, optimisticChange }) {
+    if (type === 'add') return this.#add(body, options);
+
+    const url = type === 'change' ? this.#routes.cart_change_url : this.#routes.cart_update_url;
+
+    return this.#mutate(url, body, options, optimisticChange);
+  }
+
+  /**
+   * Stores a mutation to be sent once the browser is back online
+   * @param {CartMutation} mutation - The mutation
+   * @returns {Promise<{ result: Promise<CartMutationResult> }>}
+   */
+  async #defer({ type, body, options, optimisticChange }) {
+    // Line numbers change once other lines are removed, e.g. by the mutations stored before, so the line is stored by key
+    const line = type === 'change' && body.line ? this.#cart?.items[body.line - 1] : undefined;
+    if (line) {
+      const { line: _, ...rest } = body;
+      body = { ...rest, id: line.key };
+    }
+
+    // Elements and sections can't be restored on another page, so only the event data is stored
+    const { sourceId, eventData, silent } = options;
+    const id = await this.#queue.push({ type, body, options: { sourceId, eventData, silent } });
+
+    /** @type {Promise<CartMutationResult>} */
+    const result = new Promise((resolve, reject) => {
+      this.#deferredMutations.set(id, { options, optimisticChange, resolve, reject });
+    });
+
+    this.#setPendingCount(this.#pendingCount + 1, options);
+
+    return { result };
+  }
+
+  /**
+   * Sends the stored mutations in the order they were made, stopping at the first one that can't reach the server.
+   * The tabs share the stored mutations, so only the tab holding the replay lock sends them.
+   */
+  #replay() {
+    this.#queueTail = this.#queueTail
+      .then(async () => {
+        if (this.#queue !== cartQueue || !navigator.locks) return this.#sendStoredMutations();
+
+        await navigator.locks.request(CartStore.#REPLAY_LOCK, async () => {
+          await this.#sendStoredMutations();
+        });
+      })
+      .catch((error) => console.error('Failed to send the queued cart changes:', error));
+  }
+
+  /**
+   * Sends the stored mutations, deleting each one once the server handled it
+   */
+  async #sendStoredMutations() {
+    const mutations = await this.#queue.getAll();
+    this.#setPendingCount(mutations.length);
+
+    // The mutations of this page that are no longer stored were sent by another tab
+    const storedIds = new Set(mutations.map(({ id }) => id));
+    const sentElsewhere = [...this.#deferredMutations].filter(([id]) => !storedIds.has(id));
+
+    if (sentElsewhere.length > 0) {
+      for (const [id] of sentElsewhere) this.#deferredMutations.delete(id);
+
+      const cart = await this.#fetchCart().catch(() => this.#serverCart);
+      for (const [, deferred] of sentElsewhere) {
+        if (deferred.optimisticChange) this.#optimisticChanges.delete(deferred.optimisticChange);
+        if (cart) deferred.resolve({ cart, sections: {}, response: null });
+        else deferred.reject(new Error('The cart could not be fetched'));
+      }
+      this.#render();
+    }
+
+    if (!navigator.onLine) return;
+
+    for (const { id = 0, type, body, options } of mutations) {
+      const deferred = this.#deferredMutations.get(id);
+
+      try {
+        const result = await this.#send({
+          type,
+          body,
+          options: deferred?.options ?? options,
+          optimisticChange: deferred?.optimisticChange,
+        });
+        deferred?.resolve(result);
+      } catch (error) {
+        if (error instanceof CartNetworkError) {
+          const attempts = (this.#attempts.get(id) ?? 0) + 1;
+
+          // Offline mutations wait for the online event, the ones the server failed are sent again a bit later
+          if (!navigator.onLine) return;
+          if (attempts < CartStore.#MAX_ATTEMPTS) {
+            this.#attempts.set(id, attempts);
+            this.#retryTimeout = window.setTimeout(
+              () => {
+                this.#retryTimeout = undefined;
+                this.#replay();
+              },
+              CartStore.#RETRY_DELAY * 2 ** (attempts - 1)
+            );
+            return;
+          }
+
+          // The server keeps failing the mutation, it is given up on so the ones after it can be sent
+          if (deferred?.optimisticChange) this.#optimisticChanges.delete(deferred.optimisticChange);
+          this.#render();
+        }
+
+        deferred?.reject(error);
+      }
+
+      this.#attempts.delete(id);
+      this.#deferredMutations.delete(id);
+      await this.#queue.delete(id);
+      this.#setPendingCount(this.#pendingCount - 1);
+    }
+  }
+
+  /**
+   * Updates the number of pending mutations and dispatches a cart pending event
+   * @param {number} count - The number of pending mutations
+   * @param {CartMutationOptions} [options] - The options of the mutation that was stored
+   */
+  #setPendingCount(count, options = {}) {
+    if (count === this.#pendingCount) return;
+
+    this.#pendingCount = count;
+
+    const target = options.target ?? document;
+    target.dispatchEvent(new CartPendingEvent(options.sourceId ?? '', { pendingCount: count }));
+  }
+
+  /**
+   * Applies an optimistic change to the cart and notifies the subscribers
+   * @param {OptimisticChange} [optimisticChange] - The optimistic change of a mutation
+   */
+  #addOptimisticChange(optimisticChange) {
+    if (!optimisticChange) return;
+
+    this.#optimisticChanges.add(optimisticChange);
+    this.#render();
+  }
+
+  /**
+   * Applies new line quantities to a cart.
+   * Lines are kept when their quantity drops to 0 so the line numbers of the other lines don't change.
+   * @param {Cart} cart - The cart
+   * @param {(item: CartLineItem, index: number) => number | undefined} getQuantity - Returns the new quantity of a line, or undefined to keep it
+   * @param {number} [addedItemCount] - The number of items added outside of the existing lines
+   * @returns {Cart}
+   */
+  #withQuantities(cart, getQuantity, addedItemCount = 0) {
+    let itemCount = cart.item_count + addedItemCount;
+    let priceDifference = 0;
+
+    /** @type {CartLineItem[]} */
+    const items = [];
+
+    for (const [index, item] of cart.items.entries()) {
+      const quantity = getQuantity(item, index);
+
+      if (quantity === undefined || quantity === item.quantity) {
+        items.push(item);
+        continue;
+      }
+
+      const finalLinePrice = item.final_price * quantity;
+
+      itemCount += quantity - item.quantity;
+      priceDifference += finalLinePrice - item.final_line_price;
+
+      items.push({
+        ...item,
+        quantity,
+        final_line_price: finalLinePrice,
+        original_line_price: item.price * quantity,
+      });
+    }
+
+    return {
+      ...cart,
+      items,
+      item_count: itemCount,
+      total_price: cart.total_price + priceDifference,
+      items_subtotal_price: cart.items_subtotal_price + priceDifference,
+    };
+  }
+
+  /**
+   * Posts an add mutation to the cart
+   * @param {Array<[string, FormDataEntryValue]>} entries - The add to cart form data entries
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #add(entries, options) {
+    const formData = new FormData();
+    for (const [name, value] of entries) formData.append(name, value);
+
+    if (options.sections?.length) {
+      formData.set('sections', options.sections.join(','));
+    }
+
+    const config = fetchConfig('javascript', { body: formData });
+    const data = await this.#post(this.#routes.cart_add_url, {
+      ...config,
+      headers: {
+        ...config.headers,
+        Accept: 'text/html',
+      },
+    });
+
+    if (data.status) {
+      this.#dispatchError(data, options);
+
+      // The server may still add the maximum allowed quantity when the requested one is too high,
+      // so the cart needs to be refreshed either way.
+      const cart = await this.#fetchCart();
+      this.#dispatchUpdate(cart, options, { didError: true }, CartAddEvent);
+
+      throw new CartError(data.message, data.description, data.errors);
+    }
+
+    const cart = await this.#fetchCart();
+    this.#dispatchUpdate(cart, options, { sections: data.sections }, CartAddEvent);
+
+    return { cart, sections: data.sections ?? {}, response: data };
+  }
+
+  /**
+   * Posts a JSON mutation to one of the cart endpoints
+   * @param {string} url - The cart endpoint
+   * @param {Record<string, any>} body - The body of the request
+   * @param {CartMutationOptions} options
+   * @param {OptimisticChange} [optimisticChange] - The optimistic change of the mutation
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #mutate(url, body, options, optimisticChange) {
+    let data;
+
+    try {
+      data = await this.#post(
+        url,
+        fetchConfig('json', {
+          body: JSON.stringify({
+            ...body,
+            ...(options.sections?.length && {
+              sections: options.sections.join(','),
+              sections_url: options.sectionsUrl ?? window.location.pathname,
+            }),
+          }),
+        })
+      );
+    } catch (error) {
+      // Optimistic changes are kept while the mutation waits for the network
+      if (!(error instanceof CartNetworkError)) await this.#rollback(optimisticChange);
+      throw error;
+    }
+
+    if (data.status || data.errors) {
+      await this.#rollback(optimisticChange);
+
+      this.#dispatchError(data, options);
+      throw new CartError(data.message ?? data.errors, data.description, data.errors);
+    }
+
+    if (optimisticChange) this.#optimisticChanges.delete(optimisticChange);
+
+    const { sections = {}, ...cart } = data;
+
+    // The sections were rendered before the mutations that are still waiting for the server, rendering them
+    // would undo their optimistic changes until the next response, so only the last response renders them
+    if (this.#optimisticChanges.size > 0) {
+      this.#setCart(cart);
+      return { cart, sections: {}, response: data };
+    }
+
+    this.#dispatchUpdate(cart, options, { sections }, CartUpdateEvent);
+
+    return { cart, sections, response: data };
+  }
+
+  /**
+   * Posts a request and parses its JSON response, throwing a network error if the server can't be reached or
+   * can't handle the request for now
+   * @param {string} url - The cart endpoint
+   * @param {RequestInit} init - The request options
+   * @returns {Promise<any>}
+   */
+  async #post(url, init) {
+    /** @type {Response} */
+    let response;
+
+    try {
+      response = await this.#fetch(url, init);
+    } catch (error) {
+      throw new CartNetworkError(error);
+    }
+
+    // Gateway and maintenance pages are temporary, the mutation is sent again later
+    if (response.status >= 500) {
+      throw new CartNetworkError(new Error(`Server returned ${response.status}`));
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new CartNetworkError(error);
+    }
+  }
+
+  /**
+   * Drops the optimistic change of a failed mutation and fetches the cart from the server,
+   * the optimistic changes of the other mutations are applied on top of it again
+   * @param {OptimisticChange} [optimisticChange] - The optimistic change of the failed mutation
+   */
+  async #rollback(optimisticChange) {
+    if (!optimisticChange) return;
+
+    this.#optimisticChanges.delete(optimisticChange);
+
+    try {
+      await this.#fetchCart();
+    } catch (error) {
+      console.error('Failed to roll back the cart:', error);
+      this.#render();
+    }
+  }
+
+  /**
+   * Stores the new cart from the server and notifies the subscribers
+   * @param {Cart} cart
+   */
+  #setCart(cart) {
+    this.#serverCart = cart;
+    this.#render();
+  }
+
+  /**
+   * Applies the pending optimistic changes to the cart from the server and notifies the subscribers
+   */
+  #render() {
+    const serverCart = this.#serverCart;
+    if (!serverCart) return;
+
+    let cart = serverCart;
+    for (const optimisticChange of this.#optimisticChanges) cart = optimisticChange(cart);
+
+    this.#cart = cart;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Stores the new cart and dispatches a cart update event
+   * @param {Cart} cart - The new cart
+   * @param {CartMutationOptions} options - The mutation options
+   * @param {Record<string, any>} data - The event data
+   * @param {typeof CartAddEvent | typeof CartUpdateEvent} EventClass - The class of the event to dispatch
+   */
+  #dispatchUpdate(cart, options, data, EventClass) {
+    if (cart !== this.#serverCart) this.#setCart(cart);
+    if (options.silent) return;
+
+    const target = options.target ?? document;
+
+    target.dispatchEvent(
+      new EventClass(cart, options.sourceId ?? '', {
+        itemCount: cart.item_count,
+        ...options.eventData,
+        ...data,
+      })
+    );
+  }
+
+  /**
+   * Dispatches a cart error event
+   * @param {{ message?: string, description?: string, errors?: any }} data - The error response
+   * @param {CartMutationOptions} options - The mutation options
+   */
+  #dispatchError(data, options) {
+    if (options.silent) return;
+
+    const target = options.target ?? document;
+
+    target.dispatchEvent(
+      new CartErrorEvent(options.sourceId ?? '', data.message ?? data.errors, data.description ?? '', data.errors)
+    );
+  }
+}
+
+export const cartStore = new CartStore({ persistent: true });
@@ -0,0 +1,166 @@
+import { CartUpdateEvent, DiscountUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {import('./cart-store').Cart} Cart
+ */
+
+/**
+ * The source of the events dispatched for updates made in other tabs
+ */
+export const CART_SYNC_SOURCE = 'cart-sync';
+
+/**
+ * @typedef {Object} CartSyncMessage
+ * @property {'cart' | 'discount'} type - The kind of update made in the other tab
+ * @property {Cart | null} cart - The cart after the update
+ */
+
+/**
+ * Keeps the cart in sync across tabs.
+ *
+ * Cart and discount updates are broadcast to the other tabs of the store, which re-render their
+ * registered cart sections and dispatch the matching event so the rest of the page can update.
+ */
+class CartSync {
+  /** @static @constant {string} The name of the broadcast channel */
+  static #CHANNEL_NAME = 'theme:cart';
+
+  /**
+   * @type {BroadcastChannel | null}
+   */
+  #channel = null;
+
+  /**
+   * The cart sections to re-render, with a function returning the URL to render them for
+   * @type {Map<string, (() => URL) | undefined>}
+   */
+  #sections = new Map();
+
+  /**
+   * The events dispatched for updates made in other tabs, so they aren't broadcast back
+   * @type {WeakSet<Event>}
+   */
+  #syncedEvents = new WeakSet();
+
+  constructor() {
+    if (!('BroadcastChannel' in window)) return;
+
+    this.#channel = new BroadcastChannel(CartSync.#CHANNEL_NAME);
+    this.#channel.addEventListener('message', this.#handleMessage);
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleDiscountUpdate);
+  }
+
+  /**
+   * Registers a section to re-render when the cart is updated in another tab
+   * @param {string} sectionId - The section ID
+   * @param {() => URL} [getUrl] - Returns the URL to render the section for, defaults to the current page
+   * @returns {() => void} A function that unregisters the section
+   */
+  registerSection(sectionId, getUrl) {
+    this.#sections.set(sectionId, getUrl);
+
+    return () => {
+      if (this.#sections.get(sectionId) === getUrl) this.#sections.delete(sectionId);
+    };
+  }
+
+  /**
+   * @param {CartUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    this.#broadcast(event, 'cart');
+  };
+
+  /**
+   * @param {DiscountUpdateEvent} event
+   */
+  #handleDiscountUpdate = (event) => {
+    this.#broadcast(event, 'discount');
+  };
+
+  /**
+   * Sends an update made in this tab to the other tabs
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event - The update event
+   * @param {CartSyncMessage['type']} type - The kind of update
+   */
+  #broadcast(event, type) {
+    if (!this.#channel || this.#syncedEvents.has(event)) return;
+
+    // Sections are left out since they are rendered for this tab's page
+    const cart = /** @type {Cart | undefined} */ (event.detail.resource);
+
+    /** @type {CartSyncMessage} */
+    const message = { type, cart: cart?.items ? cart : null };
+
+    try {
+      this.#channel.postMessage(message);
+    } catch (error) {
+      console.error('Failed to sync the cart with other tabs:', error);
+    }
+  }
+
+  /**
+   * Applies an update made in another tab
+   * @param {MessageEvent<CartSyncMessage>} event
+   */
+  #handleMessage = async ({ data }) => {
+    try {
+      const cart = data.cart ? cartStore.replaceCart(data.cart) : await cartStore.getCart({ refresh: true });
+      const sections = await this.#renderSections();
+
+      const syncedEvent =
+        data.type === 'discount'
+          ? new DiscountUpdateEvent(cart, CART_SYNC_SOURCE, { sections })
+          : new CartUpdateEvent(cart, CART_SYNC_SOURCE, {
+              source: CART_SYNC_SOURCE,
+              itemCount: cart.item_count,
+              sections,
+            });
+
+      this.#syncedEvents.add(syncedEvent);
+      document.dispatchEvent(syncedEvent);
+    } catch (error) {
+      console.error('Failed to apply a cart update from another tab:', error);
+    }
+  };
+
+  /**
+   * Re-renders the registered sections that are on the page
+   * @returns {Promise<Record<string, string>>} The rendered sections, keyed by section id
+   */
+  async #renderSections() {
+    /** @type {Record<string, string>} */
+    const sections = {};
+
+    // Sections rendered for the same URL share a request
+    /** @type {Map<string, { url: URL | undefined, sectionIds: string[] }>} */
+    const sectionsByUrl = new Map();
+
+    for (const [sectionId, getUrl] of this.#sections) {
+      const url = getUrl?.();
+      const key = url?.toString() ?? '';
+      const group = sectionsByUrl.get(key) ?? { url, sectionIds: [] };
+
+      group.sectionIds.push(sectionId);
+      sectionsByUrl.set(key, group);
+    }
+
+    const renders = Array.from(sectionsByUrl.values(), async ({ url, sectionIds }) => {
+      try {
+        Object.assign(sections, await sectionRenderer.renderSections(sectionIds, { cache: false, url }));
+      } catch (error) {
+        console.error(`Failed to render sections ${sectionIds.join(', ')}:`, error);
+      }
+    });
+
+    await Promise.all(renders);
+
+    return sections;
+  }
+}
+
+export const cartSync = new CartSync();
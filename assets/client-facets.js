@@ -0,0 +1,467 @@
+import { convertMoneyToMinorUnits } from '@theme/money-formatting';
+import { buildSectionSelector, sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {Object} ClientFacetsVariant
+ * @property {boolean} available - Whether the variant is available
+ * @property {number} price - The price, in minor units
+ * @property {string[]} options - The option values, in the order of the product options
+ */
+
+/**
+ * @typedef {Object} ClientFacetsProduct
+ * @property {number} id - The product ID
+ * @property {string} title - The product title
+ * @property {string} vendor - The product vendor
+ * @property {string} type - The product type
+ * @property {string[]} tags - The product tags
+ * @property {number} price - The lowest variant price, in minor units
+ * @property {number} createdAt - When the product was created, in seconds since the epoch
+ * @property {string[]} options - The handles of the product options
+ * @property {ClientFacetsVariant[]} variants - The product variants
+ */
+
+/**
+ * @typedef {Object} ClientFacetsData
+ * @property {string} currency - The currency of the prices
+ * @property {string} defaultSortBy - The default sort order of the collection, the order of the products
+ * @property {boolean} complete - Whether all the products of the collection are listed
+ * @property {ClientFacetsProduct[]} products - The products
+ */
+
+/**
+ * @typedef {Object} ClientFacetsQuery
+ * @property {Map<string, string[]>} filters - The filter values, by filter parameter
+ * @property {number | null} minPrice - The lowest price, in minor units
+ * @property {number | null} maxPrice - The highest price, in minor units
+ * @property {string} sortBy - The sort order
+ */
+
+/**
+ * The section that renders the products data
+ */
+const DATA_SECTION_ID = 'section-rendering-collection-products';
+
+/**
+ * The filters evaluated on the product, by filter parameter
+ * @type {Record<string, (product: ClientFacetsProduct) => string[]>}
+ */
+const PRODUCT_FILTERS = {
+  'filter.p.vendor': (product) => [product.vendor],
+  'filter.p.product_type': (product) => [product.type],
+  'filter.p.tag': (product) => product.tags,
+};
+
+/**
+ * The sort orders evaluated in the browser, besides the default order of the collection
+ * @type {Record<string, (a: ClientFacetsProduct, b: ClientFacetsProduct) => number>}
+ */
+const SORT_COMPARATORS = {
+  'title-ascending': (a, b) => a.title.localeCompare(b.title),
+  'title-descending': (a, b) => b.title.localeCompare(a.title),
+  'price-ascending': (a, b) => a.price - b.price,
+  'price-descending': (a, b) => b.price - a.price,
+  'created-ascending': (a, b) => a.createdAt - b.createdAt,
+  'created-descending': (a, b) => b.createdAt - a.createdAt,
+};
+
+/**
+ * Filters and sorts the products of small collections in the browser.
+ *
+ * The products of the collection are loaded once, then filter changes reorder and hide the product cards already on
+ * the page instead of rendering the section again. Whenever the engine can't show the results itself, e.g. for
+ * metafield filters or when some cards aren't on the page, `render` returns false and the section is rendered by the
+ * server as usual.
+ */
+export class ClientFacets {
+  /**
+   * @param {string} sectionId - The ID of the section with the product grid
+   */
+  constructor(sectionId) {
+    this.sectionId = sectionId;
+  }
+
+  /**
+   * The section element
+   * @returns {HTMLElement | null}
+   */
+  get section() {
+    return document.getElementById(buildSectionSelector(this.sectionId));
+  }
+
+  /**
+   * Loads the products of the collection
+   * @returns {Promise<ClientFacetsData | null>} The products data, null when it can't be loaded or doesn't list all
+   * the products
+   */
+  async load() {
+    const data = await loadCollectionProducts();
+    return data?.complete ? data : null;
+  }
+
+  /**
+   * Shows the products matching the filter parameters, in their sort order
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {Promise<boolean>} Whether the results were rendered, false when the server has to render them
+   */
+  async render(parameters) {
+    const results = await this.#evaluate(parameters);
+    const section = this.section;
+    const grid = section?.querySelector('[ref="grid"]');
+    if (!results || !section || !grid) return false;
+
+    /** @type {Map<string, HTMLElement>} */
+    const items = new Map();
+    for (const item of grid.querySelectorAll(':scope > [data-product-id]')) {
+      if (item instanceof HTMLElement && item.dataset.productId) items.set(item.dataset.productId, item);
+    }
+
+    // The server renders the empty state, and the cards that aren't on the page
+    if (results.products.length === 0 || results.products.some(({ id }) => !items.has(String(id)))) return false;
+
+    const matchingIds = new Set(results.products.map(({ id }) => String(id)));
+
+    for (const product of results.products) {
+      const item = /** @type {HTMLElement} */ (items.get(String(product.id)));
+      item.hidden = false;
+      grid.append(item);
+    }
+
+    for (const [id, item] of items) {
+      if (!matchingIds.has(id)) {
+        item.hidden = true;
+        grid.append(item);
+      }
+    }
+
+    this.#updateInputs(section, parameters);
+    this.#updateCounts(section, results.data, results.query, results.products.length);
+    this.#updateRemoveButtons(section, parameters);
+
+    return true;
+  }
+
+  /**
+   * Updates the number of results of each option and of the whole selection, without changing the product grid
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {Promise<boolean>} Whether the counts were updated, false when the server has to evaluate them
+   */
+  async preview(parameters) {
+    const results = await this.#evaluate(parameters);
+    const form = this.section?.querySelector('facets-form-component[preview]');
+    if (!results || !form) return false;
+
+    // The counts of the section describe the applied filters until the previewed ones are applied, only the drawer
+    // of the previewing form and its results button are updated
+    this.#updateCounts(form.closest('dialog') ?? form, results.data, results.query, results.products.length);
+
+    return true;
+  }
+
+  /**
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   * @returns {Promise<{ data: ClientFacetsData, query: ClientFacetsQuery, products: ClientFacetsProduct[] } | null>}
+   */
+  async #evaluate(parameters) {
+    const data = await this.load();
+    const query = data && parseQuery(parameters, data);
+    if (!data || !query) return null;
+
+    const products = data.products.filter((product) => matchesQuery(product, query));
+    const comparator = SORT_COMPARATORS[query.sortBy];
+    if (query.sortBy !== data.defaultSortBy && comparator) products.sort(comparator);
+
+    return { data, query, products };
+  }
+
+  /**
+   * Checks the options of the applied filters, like the server renders them. Needed when the filters weren't
+   * changed through the form, e.g. with the remove buttons.
+   * @param {HTMLElement} section - The section element
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   */
+  #updateInputs(section, parameters) {
+    for (const input of section.querySelectorAll('facets-form-component input')) {
+      if (!(input instanceof HTMLInputElement)) continue;
+
+      if (input.type === 'checkbox' && input.name.startsWith('filter.')) {
+        input.checked = parameters.getAll(input.name).includes(input.value);
+      } else if (input.type === 'radio' && input.name === 'sort_by' && parameters.has('sort_by')) {
+        input.checked = input.value === parameters.get('sort_by');
+      } else if (input.name === 'filter.v.price.gte' || input.name === 'filter.v.price.lte') {
+        input.value = parameters.get(input.name) ?? '';
+      }
+    }
+
+    const sortBy = parameters.get('sort_by');
+
+    if (sortBy) {
+      for (const select of section.querySelectorAll('facets-form-component select[name="sort_by"]')) {
+        if (select instanceof HTMLSelectElement) select.value = sortBy;
+      }
+    }
+  }
+
+  /**
+   * Updates the number of results and the options that no longer match any product
+   * @param {Element} root - The section element, or the drawer of the previewing form
+   * @param {ClientFacetsData} data - The products data
+   * @param {ClientFacetsQuery} query - The applied query
+   * @param {number} resultsCount - The number of matching products
+   */
+  #updateCounts(root, data, query, resultsCount) {
+    /** @type {Map<string, number>} */
+    const valueCounts = new Map();
+
+    for (const input of root.querySelectorAll('facets-form-component input[type="checkbox"][name^="filter."]')) {
+      if (!(input instanceof HTMLInputElement) || !isSupportedFilter(input.name)) continue;
+
+      const key = `${input.name}=${input.value}`;
+      let count = valueCounts.get(key);
+
+      if (count === undefined) {
+        // Values of the same filter are alternatives, so each one is counted with the other filters only
+        const filters = new Map(query.filters).set(input.name, [input.value]);
+        const valueQuery = { ...query, filters };
+        count = data.products.filter((product) => matchesQuery(product, valueQuery)).length;
+        valueCounts.set(key, count);
+      }
+
+      const disabled = count === 0 && !input.checked;
+      input.disabled = disabled;
+      input.closest('li')?.classList.toggle('facets__inputs-list-item--disabled', disabled);
+      input.closest('.checkbox')?.classList.toggle('checkbox--disabled', disabled);
+
+      const countElement = input.parentElement?.querySelector('.checkbox__label-count');
+      if (countElement) countElement.textContent = `(${count})`;
+    }
+
+    for (const element of root.querySelectorAll('[data-count-one][data-count-other]')) {
+      if (!(element instanceof HTMLElement)) continue;
+
+      element.textContent = formatCount(element, resultsCount);
+      if (element instanceof HTMLButtonElement) element.disabled = resultsCount === 0;
+    }
+  }
+
+  /**
+   * Renders a remove button for each applied filter value
+   * @param {HTMLElement} section - The section element
+   * @param {URLSearchParams} parameters - The filter and sort parameters
+   */
+  #updateRemoveButtons(section, parameters) {
+    for (const container of section.querySelectorAll('.facets-remove')) {
+      const template = container.querySelector('template[data-remove-pill-template]');
+      const form = container.closest('form');
+      if (!(template instanceof HTMLTemplateElement) || !form) continue;
+
+      container.querySelectorAll('.facets-remove__pill').forEach((pill) => pill.remove());
+
+      /** @type {{ label: string, removedParameters: [string, string | null][] }[]} */
+      const appliedValues = [];
+
+      for (const input of form.querySelectorAll('input[type="checkbox"][name^="filter."]:checked')) {
+        if (!(input instanceof HTMLInputElement)) continue;
+
+        appliedValues.push({
+          label: input.dataset.label ?? input.getAttribute('aria-label') ?? input.value,
+          removedParameters: [[input.name, input.value]],
+        });
+      }
+
+      if (parameters.has('filter.v.price.gte') || parameters.has('filter.v.price.lte')) {
+        const priceStatus = form
+          .querySelector('price-facet-component')
+          ?.closest('details')
+          ?.querySelector('facet-status-component');
+
+        appliedValues.push({
+          label: priceStatus?.textContent?.trim() ?? '',
+          removedParameters: [
+            ['filter.v.price.gte', null],
+            ['filter.v.price.lte', null],
+          ],
+        });
+      }
+
+      const clearAll = container.querySelector('[data-clear-all]');
+
+      for (const { label, removedParameters } of appliedValues) {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('page');
+
+        for (const [name, value] of removedParameters) {
+          if (value === null) {
+            url.searchParams.delete(name);
+          } else {
+            url.searchParams.delete(name, value);
+          }
+        }
+
+        const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+        const pill = fragment.querySelector('.facets-remove__pill');
+        if (!(pill instanceof HTMLElement)) continue;
+
+        pill.dataset.url = url.toString();
+        const labelElement = pill.querySelector('.facets-remove__label');
+        if (labelElement) labelElement.textContent = label;
+
+        container.insertBefore(fragment, clearAll);
+      }
+
+      if (clearAll instanceof HTMLElement) clearAll.hidden = appliedValues.length === 0;
+    }
+  }
+}
+
+/**
+ * The products data of the collections, by collection path
+ * @type {Map<string, Promise<ClientFacetsData | null>>}
+ */
+const collectionProducts = new Map();
+
+/**
+ * Loads the products of the current collection, once per page. Collections with more than 250 products only list
+ * their first 250 products, and aren't `complete`.
+ * @returns {Promise<ClientFacetsData | null>} The products data, null when it can't be loaded
+ */
+export function loadCollectionProducts() {
+  const { pathname } = window.location;
+  let data = collectionProducts.get(pathname);
+
+  if (!data) {
+    data = sectionRenderer
+      .getSectionHTML(DATA_SECTION_ID, true, new URL(pathname, window.location.origin))
+      .then((html) => {
+        const script = new DOMParser()
+          .parseFromString(html, 'text/html')
+          .querySelector('script[data-collection-products]');
+
+        /** @type {ClientFacetsData | null} */
+        return JSON.parse(script?.textContent ?? 'null');
+      })
+      .catch((error) => {
+        console.warn('Failed to load the collection products:', error);
+        return null;
+      });
+
+    collectionProducts.set(pathname, data);
+  }
+
+  return data;
+}
+
+/**
+ * The engines of the sections, by section ID
+ * @type {Map<string, ClientFacets>}
+ */
+const engines = new Map();
+
+/**
+ * Gets the client-side faceting engine of a section, when the section has enabled it
+ * @param {string} sectionId - The section ID
+ * @returns {ClientFacets | null}
+ */
+export function getClientFacets(sectionId) {
+  const section = document.getElementById(buildSectionSelector(sectionId));
+  if (!section?.querySelector('[data-client-filtering]')) return null;
+
+  let engine = engines.get(sectionId);
+
+  if (!engine) {
+    engine = new ClientFacets(sectionId);
+    engines.set(sectionId, engine);
+  }
+
+  return engine;
+}
+
+/**
+ * Whether a filter parameter can be evaluated in the browser
+ * @param {string} key - The filter parameter
+ * @returns {boolean}
+ */
+function isSupportedFilter(key) {
+  return key in PRODUCT_FILTERS || key === 'filter.v.availability' || key.startsWith('filter.v.option.');
+}
+
+/**
+ * Reads the filters and sort order of the URL parameters
+ * @param {URLSearchParams} parameters - The URL parameters
+ * @param {ClientFacetsData} data - The products data
+ * @returns {ClientFacetsQuery | null} The query, or null when it can't be evaluated in the browser
+ */
+function parseQuery(parameters, data) {
+  /** @type {ClientFacetsQuery} */
+  const query = { filters: new Map(), minPrice: null, maxPrice: null, sortBy: data.defaultSortBy };
+
+  for (const [key, value] of parameters) {
+    if (key === 'sort_by') {
+      query.sortBy = value;
+    } else if (key === 'filter.v.price.gte') {
+      query.minPrice = convertMoneyToMinorUnits(value, data.currency);
+    } else if (key === 'filter.v.price.lte') {
+      query.maxPrice = convertMoneyToMinorUnits(value, data.currency);
+    } else if (key.startsWith('filter.')) {
+      if (!isSupportedFilter(key)) return null;
+
+      query.filters.set(key, [...(query.filters.get(key) ?? []), value]);
+    }
+  }
+
+  if (query.sortBy !== data.defaultSortBy && !(query.sortBy in SORT_COMPARATORS)) return null;
+
+  return query;
+}
+
+/**
+ * Whether a product matches a query. Like the server, variant filters have to match the same variant.
+ * @param {ClientFacetsProduct} product - The product
+ * @param {ClientFacetsQuery} query - The query
+ * @returns {boolean}
+ */
+function matchesQuery(product, query) {
+  return product.variants.some((variant) => {
+    if (query.minPrice !== null && variant.price < query.minPrice) return false;
+    if (query.maxPrice !== null && variant.price > query.maxPrice) return false;
+
+    for (const [key, values] of query.filters) {
+      const productValues = getFilterValues(product, variant, key);
+      if (!values.some((value) => productValues.includes(value))) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Gets the values of a product variant for a filter
+ * @param {ClientFacetsProduct} product - The product
+ * @param {ClientFacetsVariant} variant - The variant
+ * @param {string} key - The filter parameter
+ * @returns {string[]}
+ */
+function getFilterValues(product, variant, key) {
+  const productFilter = PRODUCT_FILTERS[key];
+  if (productFilter) return productFilter(product);
+
+  if (key === 'filter.v.availability') return [variant.available ? '1' : '0'];
+
+  const optionIndex = product.options.indexOf(key.replace('filter.v.option.', ''));
+  const optionValue = variant.options[optionIndex];
+
+  return optionValue === undefined ? [] : [optionValue];
+}
+
+/**
+ * Formats a number of results with the translations of an element
+ * @param {HTMLElement} element - The element with `data-count-one` and `data-count-other` translations
+ * @param {number} count - The number of results
+ * @returns {string}
+ */
+function formatCount(element, count) {
+  const pluralRule = new Intl.PluralRules(Shopify.locale).select(count);
+  const translation = (pluralRule === 'one' ? element.dataset.countOne : element.dataset.countOther) ?? '';
+
+  return translation.replace(/{{\s*count\s*}}/, count.toString());
+}
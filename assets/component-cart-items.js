@@ -1,12 +1,5 @@
 import { Component } from '@theme/component';
-import {
-  fetchConfig,
-  debounce,
-  onAnimationEnd,
-  prefersReducedMotion,
-  resetShimmer,
-  startViewTransition,
-} from '@theme/utilities';
+import { debounce, onAnimationEnd, prefersReducedMotion, resetShimmer, startViewTransition } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -16,8 +9,12 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError } from '@theme/cart-store';
+import { formatMoney } from '@theme/money-formatting';
+import { cartSync } from '@theme/cart-sync';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').Cart} Cart */
 
 /**
  * A custom element that displays a cart items component.
@@ -32,21 +29,47 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /** @type {(() => void) | undefined} */
+  #unregisterSection;
+
   connectedCallback() {
     super.connectedCallback();
 
+    // Keep the cart up to date when it changes in another tab
+    this.#unregisterSection = cartSync.registerSection(this.sectionId);
+
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantitySelectorUpdate);
+
+    // Optimistic updates are computed from the cart store, so make sure it knows the cart
+    if (this.dataset.optimistic !== undefined) {
+      cartStore.getCart().catch((error) => console.error(error));
+    }
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantitySelectorUpdate);
+
+    this.#unregisterSection?.();
   }
 
+  /**
+   * Handles QuantitySelectorUpdateEvent, right away for optimistic updates since the cart store
+   * coalesces rapid changes to the same line, or debounced otherwise.
+   * @param {QuantitySelectorUpdateEvent} event - The event.
+   */
+  #handleQuantitySelectorUpdate = (event) => {
+    if (this.#isOptimistic) {
+      this.#onQuantityChange(event);
+    } else {
+      this.#debouncedOnChange(event);
+    }
+  };
+
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
@@ -68,6 +91,9 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
+
+    if (this.#isOptimistic) return;
+
     const lineItemRow = this.refs.cartItemRows[line - 1];
 
     if (!lineItemRow) return;
@@ -81,24 +107,36 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
+    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const { bundleId } = cartItemRowToRemove?.dataset ?? {};
+
+    // The products of a bundle are only sold together, so they're removed together
+    const bundleRows = bundleId ? this.refs.cartItemRows.filter((row) => row.dataset.bundleId === bundleId) : [];
+
+    /** @type {Record<string, number> | undefined} */
+    let updates;
+    if (bundleRows.length > 1) {
+      updates = Object.fromEntries(bundleRows.map((row) => [row.dataset.key ?? '', 0]));
+    }
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
+      updates,
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
     if (!cartItemRowToRemove) return;
 
-    const rowsToRemove = [
+    const rowsToRemove = new Set([
       cartItemRowToRemove,
+      ...bundleRows,
       // Get all nested lines of the row to remove
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+    ]);
 
     // If the cart item row is the last row, optimistically trigger the cart empty state
-    const isEmptyCart = rowsToRemove.length == this.refs.cartItemRows.length;
+    const isEmptyCart = rowsToRemove.size == this.refs.cartItemRows.length;
 
     const template = document.getElementById('empty-cart-template');
     if (isEmptyCart && template instanceof HTMLTemplateElement) {
@@ -131,14 +169,18 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @param {Record<string, number>} [config.updates] - The quantities of several lines to update along with the line,
+   * by line item key.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
+    const optimistic = this.#isOptimistic;
+    const lineKey = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    if (!optimistic) this.#disableCartItems();
 
     const cartItemsComponents = document.querySelectorAll('cart-items-component');
     const sectionsToUpdate = new Set([this.sectionId]);
@@ -148,54 +190,70 @@ class CartItemsComponent extends Component {
       }
     });
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
-
-    cartTotal?.shimmer();
-
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    /** @type {import('@theme/cart-store').CartMutationOptions} */
+    const options = {
+      target: this,
+      sourceId: this.sectionId,
+      eventData: { source: 'cart-items-component' },
+      sections: Array.from(sectionsToUpdate),
+      optimistic,
+    };
+
+    // Optimistic changes are sent while earlier ones are pending, and the line numbers change once a line is removed,
+    // so the line is changed by key
+    const request = config.updates
+      ? cartStore.update(config.updates, options)
+      : cartStore.change(optimistic && lineKey ? { id: lineKey, quantity } : { line, quantity }, options);
+
+    if (optimistic && cartStore.cart) {
+      this.#renderPrices(cartStore.cart);
+    } else {
+      cartTotal?.shimmer();
+    }
 
+    request
+      .then(({ cart, sections }) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+        // Update data-cart-quantity for all matching variants
+        this.#updateQuantitySelectors(cart);
+
+        const sectionHTML = sections[this.sectionId];
+        if (sectionHTML) {
+          morphSection(this.sectionId, sectionHTML, this.isDrawer ? 'hydration' : 'full');
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+        this.#updateCartQuantitySelectorButtonStates();
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        if (!optimistic) return;
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+        // The server can apply a lower quantity than requested, e.g. when there isn't enough stock
+        const item = cart.items.find((item) => item.key === lineKey);
+        if (item && item.quantity < quantity) {
+          const message = Theme.translations.cart_quantity_adjusted ?? '';
+          this.#handleCartError(
+            this.#lineOf(lineKey) ?? line,
+            message.replace('{{ quantity }}', item.quantity.toString())
+          );
+        }
+      })
+      .catch(async (error) => {
+        resetShimmer(this);
 
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+        // Roll the optimistic changes back by rendering the section from the server
+        if (optimistic) {
+          try {
+            await sectionRenderer.renderSection(this.sectionId, { cache: false });
+          } catch (renderError) {
+            console.error(renderError);
+          }
+        }
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId], this.isDrawer ? 'hydration' : 'full');
+        if (error instanceof CartError) {
+          this.#handleCartError(this.#lineOf(lineKey) ?? line, error.message);
+          return;
+        }
 
-        this.#updateCartQuantitySelectorButtonStates();
-      })
-      .catch((error) => {
         console.error(error);
       })
       .finally(() => {
@@ -204,6 +262,50 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Finds the current line number of a line item, as the rows move once other lines are removed.
+   * @param {string | undefined} key - The line item key.
+   * @returns {number | undefined} The line number, starting at 1.
+   */
+  #lineOf(key) {
+    const index = this.refs.cartItemRows.findIndex((row) => row.dataset.key === key);
+    return index === -1 ? undefined : index + 1;
+  }
+
+  /**
+   * Renders the line prices and the cart total without waiting for the server to render the section.
+   * @param {Cart} cart - The cart to render.
+   */
+  #renderPrices(cart) {
+    for (const row of this.refs.cartItemRows) {
+      const item = cart.items.find((item) => item.key === row.dataset.key);
+      const price = row.querySelector('.cart-items__price text-component');
+
+      if (item && price instanceof HTMLElement) {
+        this.#renderPrice(price, item.final_line_price, cart.currency);
+      }
+    }
+
+    if (this.refs.cartTotal) {
+      this.#renderPrice(this.refs.cartTotal, cart.total_price, cart.currency);
+    }
+  }
+
+  /**
+   * Renders a price with the money format of its element.
+   * @param {HTMLElement} element - The element with a `data-money-format` attribute.
+   * @param {number} price - The price, in minor units.
+   * @param {string} currency - The currency code.
+   */
+  #renderPrice(element, price, currency) {
+    const { moneyFormat } = element.dataset;
+    if (!moneyFormat) return;
+
+    const formattedPrice = formatMoney(price, moneyFormat, currency);
+    element.textContent = formattedPrice;
+    element.setAttribute('value', formattedPrice);
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -215,10 +317,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, message) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -232,7 +333,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -242,13 +343,14 @@ class CartItemsComponent extends Component {
    * @param {DiscountUpdateEvent | CartUpdateEvent | CartAddEvent} event
    */
   #handleCartUpdate = (event) => {
-    if (event instanceof DiscountUpdateEvent) {
+    const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
+
+    if (event instanceof DiscountUpdateEvent && !cartItemsHtml) {
       sectionRenderer.renderSection(this.sectionId, { cache: false });
       return;
     }
     if (event.target === this) return;
 
-    const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
 
@@ -320,6 +422,13 @@ class CartItemsComponent extends Component {
     return sectionId;
   }
 
+  /**
+   * @returns {boolean} Whether quantity changes are rendered before the server responds.
+   */
+  get #isOptimistic() {
+    return this.dataset.optimistic !== undefined && cartStore.cart !== null;
+  }
+
   /**
    * @returns {boolean} Whether the component is a drawer.
    */
@@ -10,10 +10,14 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a purchase option or selling plan is selected */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when cart updates are waiting for the network */
+  static cartPending = 'cart:pending';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -26,6 +30,10 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when a section can't be rendered */
+  static sectionRenderError = 'section:render-error';
+  /** @static @constant {string} Event triggered when the recently viewed products change */
+  static recentlyViewedUpdate = 'recently-viewed:update';
 }
 
 /**
@@ -58,17 +66,22 @@ export class VariantUpdateEvent extends Event {
    * @param {boolean} resource.available - Whether the variant is available
    * @param {boolean} resource.inventory_management - Whether the variant has inventory management
    * @param {string} [resource.sku] - The SKU of the variant
+   * @param {string} [resource.title] - The title of the variant
+   * @param {number} [resource.price] - The price of the variant, in cents
+   * @param {number | null} [resource.compare_at_price] - The compare at price of the variant, in cents
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
    * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document | null} data.html - The new document fragment for the variant, null when the variant was
+   * resolved in the browser and the fragment follows in a refresh event
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
    * @param {string} data.newProduct.url - The url of the new product
+   * @param {boolean} [data.refresh] - Whether the event only refreshes the fragment of the variant of the previous event
    */
   constructor(resource, sourceId, data) {
     super(ThemeEvents.variantUpdate, { bubbles: true });
@@ -79,6 +92,51 @@ export class VariantUpdateEvent extends Event {
         html: data.html,
         productId: data.productId,
         newProduct: data.newProduct,
+        refresh: data.refresh ?? false,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when the recently viewed products change
+ * @extends {Event}
+ */
+export class RecentlyViewedUpdateEvent extends Event {
+  /**
+   * Creates a new RecentlyViewedUpdateEvent
+   * @param {import('./recently-viewed-products').RecentlyViewedEntry[]} products - The recently viewed products, most recent first
+   */
+  constructor(products) {
+    super(ThemeEvents.recentlyViewedUpdate, { bubbles: true });
+    this.detail = {
+      products,
+    };
+  }
+}
+
+/**
+ * Event fired when a purchase option or selling plan is selected
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {{ id: string } | null} resource - The selected selling plan, or null for a one-time purchase
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The id of the product the selling plan applies to
+   * @param {string} data.price - The formatted price of the variant with the selected plan
+   * @param {string} [data.compareAtPrice] - The formatted compare at price, if the plan has savings
+   * @param {string} [data.perDeliveryPrice] - The formatted price of each delivery, for prepaid plans
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        ...data,
       },
     };
   }
@@ -169,6 +227,28 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for cart updates that are waiting for the network
+ * @extends {Event}
+ */
+export class CartPendingEvent extends Event {
+  /**
+   * Creates a new CartPendingEvent
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {number} data.pendingCount - The number of cart updates waiting to be sent
+   */
+  constructor(sourceId, data) {
+    super(ThemeEvents.cartPending, { bubbles: true });
+    this.detail = {
+      sourceId,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -197,12 +277,17 @@ export class DiscountUpdateEvent extends Event {
    * Creates a new DiscountUpdateEvent
    * @param {Object} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} [data] - Additional event data
+   * @param {Record<string, string>} [data.sections] - The sections already rendered for the update
    */
-  constructor(resource, sourceId) {
+  constructor(resource, sourceId, data) {
     super(ThemeEvents.discountUpdate, { bubbles: true });
     this.detail = {
       resource,
       sourceId,
+      data: {
+        ...data,
+      },
     };
   }
 }
@@ -288,3 +373,24 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for sections that can't be rendered
+ * @extends {Event}
+ */
+export class SectionRenderErrorEvent extends Event {
+  /**
+   * Creates a new SectionRenderErrorEvent
+   * @param {string} sectionId - The id of the section
+   * @param {Error} error - The render error, e.g. a `SectionHTTPError` with the status of the response
+   * @param {URL} url - The URL the section was rendered for
+   */
+  constructor(sectionId, error, url) {
+    super(ThemeEvents.sectionRenderError, { bubbles: true });
+    this.detail = {
+      sectionId,
+      error,
+      url,
+    };
+  }
+}
@@ -1,8 +1,11 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
-import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
+import { FilterUpdateEvent, SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
 import { debounce, startViewTransition } from '@theme/utilities';
-import { convertMoneyToMinorUnits, formatMoney } from '@theme/money-formatting';
+import { convertMoneyToMinorUnits, formatMoney, getCurrencyDecimals } from '@theme/money-formatting';
+import { interactionPerformance } from '@theme/performance';
+import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
+import { getClientFacets } from '@theme/client-facets';
 /**
  * Search query parameter.
  * @type {string}
@@ -15,12 +18,63 @@ const SEARCH_QUERY = 'q';
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
+ * @property {HTMLElement | undefined} renderError - The retry state shown when the results can't be updated
  *
  * @extends {Component<FacetsFormRefs>}
  */
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /**
+   * The filters previewed but not applied yet, in preview mode
+   * @type {URLSearchParams | null}
+   */
+  #pendingParameters = null;
+
+  /**
+   * Identifies the latest preview, so slower responses for earlier previews are ignored
+   * @type {number}
+   */
+  #previewRequest = 0;
+
+  /**
+   * The dialog the form is in, when it previews the filters
+   * @type {DialogComponent | null}
+   */
+  #dialog = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.sectionRenderError, this.#handleRenderError);
+
+    if (this.isPreview) {
+      const dialog = this.closest('dialog-component');
+      this.#dialog = dialog instanceof DialogComponent ? dialog : null;
+      this.#dialog?.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    }
+
+    // Loads the products of small collections ahead of the first filter change
+    getClientFacets(this.sectionId)?.load();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.sectionRenderError, this.#handleRenderError);
+    this.#dialog?.removeEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    this.#dialog = null;
+  }
+
+  /**
+   * Whether filter changes are previewed, showing the number of results, instead of being applied right away.
+   * Used in the filters drawer, which collapses every time the results are rendered.
+   * @returns {boolean}
+   */
+  get isPreview() {
+    return this.hasAttribute('preview');
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -67,16 +121,113 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
+    saveScrollPosition();
     history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
   }
 
   /**
-   * Updates filters and renders the section
+   * Updates filters and renders the section, or previews the results in preview mode
    */
   updateFilters = () => {
+    if (this.isPreview) {
+      this.#previewFilters();
+      return;
+    }
+
+    this.#applyFilters();
+  };
+
+  /**
+   * Applies the previewed filters, then closes the drawer
+   */
+  applyPreview() {
+    if (this.#pendingParameters) this.#applyFilters();
+
+    this.#dialog?.closeDialog();
+  }
+
+  /**
+   * Applies the filters of the form and renders the section
+   */
+  #applyFilters() {
+    this.#pendingParameters = null;
+    this.#previewRequest++;
+
     this.#updateURLHash();
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
+  }
+
+  /**
+   * Fetches the section for the filters of the form, to show how many results they return without
+   * rendering the results
+   */
+  #previewFilters() {
+    const parameters = this.createURLParameters();
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.search = parameters.toString();
+
+    const request = ++this.#previewRequest;
+    this.#pendingParameters = parameters;
+
+    if (this.refs.renderError) this.refs.renderError.hidden = true;
+
+    const clientFacets = getClientFacets(this.sectionId);
+
+    Promise.resolve(clientFacets?.preview(parameters) ?? false)
+      .then(async (previewed) => {
+        if (previewed) return;
+
+        const html = await sectionRenderer.getSectionHTML(this.sectionId, true, url, { target: this });
+        if (request === this.#previewRequest) this.#updatePreview(html);
+      })
+      .catch(() => {
+        // The render error event shows the retry state
+      });
+  }
+
+  /**
+   * Updates the number of results of each option and of the whole selection, from the section rendered for the
+   * previewed filters
+   * @param {string} html - The section HTML
+   */
+  #updatePreview(html) {
+    const parsedPage = new DOMParser().parseFromString(html, 'text/html');
+    const newForm = parsedPage.getElementById(this.id);
+    if (!newForm) return;
+
+    for (const input of this.refs.facetsForm.querySelectorAll('input[type="checkbox"]')) {
+      if (!(input instanceof HTMLInputElement)) continue;
+
+      const newInput = newForm.querySelector(
+        `input[type="checkbox"][name="${CSS.escape(input.name)}"][value="${CSS.escape(input.value)}"]`
+      );
+      if (!(newInput instanceof HTMLInputElement)) continue;
+
+      const disabled = newInput.disabled && !input.checked;
+      input.disabled = disabled;
+      input.closest('li')?.classList.toggle('facets__inputs-list-item--disabled', disabled);
+      input.closest('.checkbox')?.classList.toggle('checkbox--disabled', disabled);
+
+      const count = input.parentElement?.querySelector('.checkbox__label-count');
+      const newCount = newInput.parentElement?.querySelector('.checkbox__label-count');
+      if (count && newCount) count.textContent = newCount.textContent;
+    }
+
+    const seeResultsButton = this.closest('dialog')?.querySelector('.facets__see-results');
+    const newSeeResultsButton = newForm.closest('dialog')?.querySelector('.facets__see-results');
+
+    if (seeResultsButton instanceof HTMLButtonElement && newSeeResultsButton instanceof HTMLButtonElement) {
+      seeResultsButton.textContent = newSeeResultsButton.textContent;
+      seeResultsButton.disabled = newSeeResultsButton.disabled;
+    }
+  }
+
+  /**
+   * Applies the previewed filters when the drawer is closed without the results button
+   */
+  #handleDialogClose = () => {
+    if (this.#pendingParameters) this.#applyFilters();
   };
 
   /**
@@ -84,25 +235,80 @@ class FacetsFormComponent extends Component {
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
+    const filterMarker = interactionPerformance.createStartingMarker('filter');
+
+    if (this.refs.renderError) this.refs.renderError.hidden = true;
+
+    const renderSection = () =>
+      this.#renderResults()
+        .then(() => interactionPerformance.measureFromMarker(filterMarker))
+        .catch(() => {
+          // The render error event shows the retry state
+        });
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(renderSection, ['product-grid']);
+    } else {
+      renderSection();
+    }
+  }
+
+  /**
+   * Shows the results of the filters in the URL, in the browser for small collections and otherwise by rendering
+   * the section
+   * @returns {Promise<void>}
+   */
+  async #renderResults() {
+    const rendered = await getClientFacets(this.sectionId)?.render(new URLSearchParams(window.location.search));
+    if (rendered) return;
+
+    await sectionRenderer.renderSection(this.sectionId, { target: this });
+  }
+
+  /**
+   * Renders the section again after it failed to update
+   */
+  retryRender() {
+    if (this.#pendingParameters) {
+      this.#previewFilters();
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      this.#updateSection();
     }
   }
 
+  /**
+   * Shows the retry state when the results can't be updated
+   * @param {SectionRenderErrorEvent} event
+   */
+  #handleRenderError = (event) => {
+    if (event.detail.sectionId !== this.sectionId || !this.refs.renderError) return;
+
+    this.refs.renderError.hidden = false;
+  };
+
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    this.#pendingParameters = null;
+    this.#previewRequest++;
+
+    saveScrollPosition();
+    history.pushState({ urlParameters: new URL(url, window.location.href).searchParams.toString() }, '', url);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
 }
 
+/**
+ * Keeps the scroll position in the current history entry, to restore it when navigating back to the filters
+ * of the entry
+ */
+function saveScrollPosition() {
+  history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+}
+
 if (!customElements.get('facets-form-component')) {
   customElements.define('facets-form-component', FacetsFormComponent);
 }
@@ -180,7 +386,9 @@ class FacetInputsComponent extends Component {
 
     if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
+    sectionRenderer.getSectionHTML(this.sectionId, true, url).catch(() => {
+      // Prefetching is best effort, the section is fetched again when the filter is applied
+    });
   }, 200);
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
@@ -209,6 +417,11 @@ if (!customElements.get('facet-inputs-component')) {
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement | undefined} slider - The range slider, with the highest price in `data-range-max`
+ * @property {HTMLElement | undefined} sliderRange - The track segment between the thumbs
+ * @property {HTMLElement | undefined} minThumb - The minimum price thumb
+ * @property {HTMLElement | undefined} maxThumb - The maximum price thumb
+ * @property {HTMLElement | undefined} histogram - The distribution of the product prices
  */
 
 /**
@@ -216,21 +429,71 @@ if (!customElements.get('facet-inputs-component')) {
  * @extends {Component<PriceFacetRefs>}
  */
 class PriceFacetComponent extends Component {
+  /** @static @constant {number} The number of bars of the histogram, as counted by the price-filter snippet */
+  static #HISTOGRAM_BARS = 24;
+
   /** @type {string} */
   currency;
   /** @type {string} */
   moneyFormat;
 
+  /**
+   * The values of the slider, in minor units
+   */
+  #minValue = 0;
+  #maxValue = 0;
+
+  /**
+   * The thumb being dragged
+   * @type {HTMLElement | null}
+   */
+  #draggedThumb = null;
+
+  /**
+   * The input values when the slider started moving, to only apply the filter when they changed
+   * @type {string | null}
+   */
+  #initialInputValues = null;
+
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    this.addEventListener('input', this.#handleInput);
+    this.addEventListener('pointerdown', this.#handlePointerDown);
     this.currency = this.dataset.currency ?? 'USD';
     this.moneyFormat = this.#extractMoneyPlaceholder(this.dataset.moneyFormat ?? '{{amount}}');
+
+    this.#syncSlider();
+    this.#renderHistogram();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#syncSlider();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.removeEventListener('input', this.#handleInput);
+    this.removeEventListener('pointerdown', this.#handlePointerDown);
+    this.#applySlider.cancel();
+  }
+
+  /**
+   * The highest price of the slider, in minor units
+   * @returns {number}
+   */
+  get rangeMax() {
+    return Number(this.refs.slider?.dataset.rangeMax ?? 0);
+  }
+
+  /**
+   * The slider step, one unit of the currency in minor units, e.g. 100 cents for USD or 1 yen for JPY
+   * @returns {number}
+   */
+  get step() {
+    return Math.pow(10, getCurrencyDecimals(this.currency));
   }
 
   /**
@@ -248,7 +511,7 @@ class PriceFacetComponent extends Component {
    * @param {KeyboardEvent} event - The keydown event
    */
   #onKeyDown = (event) => {
-    if (event.metaKey) return;
+    if (event.metaKey || !(event.target instanceof HTMLInputElement)) return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
@@ -269,6 +532,272 @@ class PriceFacetComponent extends Component {
     facetsForm.updateFilters();
     this.#setMinAndMaxValues();
     this.#updateSummary();
+    this.#syncSlider();
+  }
+
+  /**
+   * Moves the focused thumb with the keyboard
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleThumbKeydown(event) {
+    const thumb = event.target;
+    if (!(thumb instanceof HTMLElement)) return;
+
+    const isMinThumb = thumb === this.refs.minThumb;
+    const value = isMinThumb ? this.#minValue : this.#maxValue;
+    const { rangeMax, step } = this;
+    const largeStep = Math.max(step * 10, Math.round(rangeMax / 10 / step) * step);
+
+    /** @type {Record<string, number>} */
+    const values = {
+      ArrowRight: value + step,
+      ArrowUp: value + step,
+      ArrowLeft: value - step,
+      ArrowDown: value - step,
+      PageUp: value + largeStep,
+      PageDown: value - largeStep,
+      Home: isMinThumb ? 0 : this.#minValue,
+      End: isMinThumb ? this.#maxValue : rangeMax,
+    };
+
+    const newValue = values[event.key];
+    if (newValue === undefined) return;
+
+    event.preventDefault();
+    this.#startSliderChange();
+    this.#moveThumb(thumb, newValue);
+    this.#applySlider();
+  }
+
+  /**
+   * Moves the closest thumb to the pointer, then follows the pointer until it is released
+   * @param {PointerEvent} event - The pointerdown event
+   */
+  #handlePointerDown = (event) => {
+    const { minThumb, maxThumb } = this.refs;
+    const track = event.target instanceof Element ? event.target.closest('.price-facet__track') : null;
+    if (!(track instanceof HTMLElement) || !minThumb || !maxThumb || event.button !== 0) return;
+
+    event.preventDefault();
+
+    const value = this.#getPointerValue(track, event);
+    const isMinThumb =
+      event.target === minThumb ||
+      (event.target !== maxThumb &&
+        (value < this.#minValue || Math.abs(value - this.#minValue) < Math.abs(value - this.#maxValue)));
+
+    this.#draggedThumb = isMinThumb ? minThumb : maxThumb;
+    this.#draggedThumb.focus();
+    this.#startSliderChange();
+    this.#moveThumb(this.#draggedThumb, value);
+
+    track.setPointerCapture(event.pointerId);
+    track.addEventListener('pointermove', this.#handlePointerMove);
+    track.addEventListener('pointerup', this.#handlePointerUp);
+    track.addEventListener('pointercancel', this.#handlePointerUp);
+  };
+
+  /**
+   * @param {PointerEvent} event - The pointermove event
+   */
+  #handlePointerMove = (event) => {
+    const track = event.currentTarget;
+    if (!(track instanceof HTMLElement) || !this.#draggedThumb) return;
+
+    this.#moveThumb(this.#draggedThumb, this.#getPointerValue(track, event));
+  };
+
+  /**
+   * Applies the filter when the thumb is released
+   * @param {PointerEvent} event - The pointerup or pointercancel event
+   */
+  #handlePointerUp = (event) => {
+    const track = event.currentTarget;
+    if (!(track instanceof HTMLElement)) return;
+
+    track.removeEventListener('pointermove', this.#handlePointerMove);
+    track.removeEventListener('pointerup', this.#handlePointerUp);
+    track.removeEventListener('pointercancel', this.#handlePointerUp);
+
+    this.#draggedThumb = null;
+    this.#applySlider();
+  };
+
+  /**
+   * Gets the price at the pointer position
+   * @param {HTMLElement} track - The slider track
+   * @param {PointerEvent} event - The pointer event
+   * @returns {number} The price, in minor units
+   */
+  #getPointerValue(track, event) {
+    const { left, width } = track.getBoundingClientRect();
+    const ratio = width > 0 ? (event.clientX - left) / width : 0;
+
+    return ratio * this.rangeMax;
+  }
+
+  /**
+   * Keeps the input values from before the slider moved, if they aren't kept yet
+   */
+  #startSliderChange() {
+    const { minInput, maxInput } = this.refs;
+
+    if (this.#initialInputValues === null) this.#initialInputValues = `${minInput.value}|${maxInput.value}`;
+  }
+
+  /**
+   * Moves a thumb, within the other thumb and the price range, and updates the inputs
+   * @param {HTMLElement} thumb - The thumb
+   * @param {number} value - The price, in minor units
+   */
+  #moveThumb(thumb, value) {
+    const { minInput, maxInput } = this.refs;
+    const { rangeMax, step } = this;
+
+    // The highest price isn't always a multiple of the step
+    const snappedValue = value >= rangeMax ? rangeMax : Math.round(value / step) * step;
+
+    if (thumb === this.refs.minThumb) {
+      this.#minValue = Math.min(Math.max(snappedValue, 0), this.#maxValue);
+      minInput.value = this.#minValue > 0 ? formatMoney(this.#minValue, this.moneyFormat, this.currency) : '';
+    } else {
+      this.#maxValue = Math.max(Math.min(snappedValue, rangeMax), this.#minValue);
+      maxInput.value = this.#maxValue < rangeMax ? formatMoney(this.#maxValue, this.moneyFormat, this.currency) : '';
+    }
+
+    this.#renderSlider();
+  }
+
+  /**
+   * Applies the price filter once the slider stops moving, if the price range changed
+   */
+  #applySlider = debounce(() => {
+    if (this.#draggedThumb) return;
+
+    const { minInput, maxInput } = this.refs;
+    const changed = this.#initialInputValues !== `${minInput.value}|${maxInput.value}`;
+
+    this.#initialInputValues = null;
+    if (changed) this.updatePriceFilterAndResults();
+  }, 300);
+
+  /**
+   * Moves the thumbs to the values typed in the inputs
+   * @param {Event} event - The input event
+   */
+  #handleInput = (event) => {
+    if (event.target === this.refs.minInput || event.target === this.refs.maxInput) this.#syncSlider();
+  };
+
+  /**
+   * Sets the slider values from the inputs
+   */
+  #syncSlider() {
+    const { minInput, maxInput } = this.refs;
+    const { currency, rangeMax } = this;
+
+    const min = minInput.value.trim() ? this.#parseDisplayValue(minInput.value, currency) : 0;
+    const max = maxInput.value.trim() ? this.#parseDisplayValue(maxInput.value, currency) : rangeMax;
+
+    this.#minValue = Math.min(Math.max(min, 0), rangeMax);
+    this.#maxValue = Math.min(Math.max(max, this.#minValue), rangeMax);
+    this.#renderSlider();
+  }
+
+  /**
+   * Positions the thumbs and updates their values for assistive technologies
+   */
+  #renderSlider() {
+    const { slider, minThumb, maxThumb } = this.refs;
+    const { rangeMax } = this;
+    if (!slider || !minThumb || !maxThumb) return;
+
+    /** @param {number} value */
+    const toPercent = (value) => `${rangeMax > 0 ? (value / rangeMax) * 100 : 0}%`;
+
+    slider.style.setProperty('--price-facet-min', toPercent(this.#minValue));
+    slider.style.setProperty('--price-facet-max', toPercent(this.#maxValue));
+
+    this.#updateThumb(minThumb, this.#minValue, 0, this.#maxValue);
+    this.#updateThumb(maxThumb, this.#maxValue, this.#minValue, rangeMax);
+    this.#updateHistogram();
+  }
+
+  /**
+   * @param {HTMLElement} thumb - The thumb
+   * @param {number} value - The value, in minor units
+   * @param {number} min - The lowest value the thumb can take
+   * @param {number} max - The highest value the thumb can take
+   */
+  #updateThumb(thumb, value, min, max) {
+    thumb.setAttribute('aria-valuenow', String(value));
+    thumb.setAttribute('aria-valuemin', String(min));
+    thumb.setAttribute('aria-valuemax', String(max));
+    thumb.setAttribute('aria-valuetext', formatMoney(value, this.dataset.moneyFormat ?? '{{amount}}', this.currency));
+  }
+
+  /**
+   * Renders the distribution of the collection's product prices above the slider
+   */
+  async #renderHistogram() {
+    const { histogram } = this.refs;
+    const { rangeMax } = this;
+    if (!histogram || rangeMax <= 0) return;
+
+    // The server counts the prices, unless the products are cut by a price filter or it listed none
+    /** @type {number[] | null} */
+    let counts = histogram.dataset.histogram ? JSON.parse(histogram.dataset.histogram) : null;
+    if (!counts?.some(Boolean)) counts = await this.#loadHistogramCounts(rangeMax);
+    if (!counts?.some(Boolean)) return;
+
+    const highestCount = Math.max(...counts);
+
+    histogram.replaceChildren(
+      ...counts.map((count) => {
+        const bar = document.createElement('span');
+        bar.className = 'price-facet__bar';
+        bar.style.height = `${(count / highestCount) * 100}%`;
+        return bar;
+      })
+    );
+    histogram.hidden = false;
+
+    this.#updateHistogram();
+  }
+
+  /**
+   * Counts the prices of the products the client-side filtering loads anyway, once they're all listed
+   * @param {number} rangeMax - The highest price of the range
+   * @returns {Promise<number[] | null>} The number of products in each bar
+   */
+  async #loadHistogramCounts(rangeMax) {
+    const sectionId = this.closest('facets-form-component')?.getAttribute('section-id');
+    const data = sectionId ? await getClientFacets(sectionId)?.load() : null;
+    if (!data?.products.length) return null;
+
+    const barCount = PriceFacetComponent.#HISTOGRAM_BARS;
+    const counts = new Array(barCount).fill(0);
+
+    for (const { price } of data.products) {
+      counts[Math.min(Math.max(Math.floor((price / rangeMax) * barCount), 0), barCount - 1)]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Highlights the bars of the selected price range
+   */
+  #updateHistogram() {
+    const { histogram } = this.refs;
+    if (!histogram) return;
+
+    const barWidth = this.rangeMax / histogram.children.length;
+
+    for (const [index, bar] of Array.from(histogram.children).entries()) {
+      const inRange = (index + 1) * barWidth >= this.#minValue && index * barWidth <= this.#maxValue;
+      bar.classList.toggle('price-facet__bar--in-range', inRange);
+    }
   }
 
   /**
@@ -827,6 +1356,21 @@ class FacetStatusComponent extends Component {
     return formatMoney(moneyValue, format, currency);
   }
 
+  /**
+   * Updates the saved filter presets summary
+   * @param {string | null} activePresetName - The name of the preset matching the applied filters
+   * @param {number} presetCount - The number of saved presets
+   */
+  updatePresetSummary(activePresetName, presetCount) {
+    const { facetStatus } = this.refs;
+    const showCount = !activePresetName && presetCount > 0;
+
+    // Preset names are typed by the customer, so they are never rendered as HTML
+    facetStatus.textContent = activePresetName ?? (showCount ? presetCount.toString() : '');
+    facetStatus.classList.toggle('bubble', showCount);
+    facetStatus.classList.toggle('facets__bubble', showCount);
+  }
+
   /**
    * Clears the summary
    */
@@ -838,3 +1382,254 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} id - The preset ID
+ * @property {string} name - The name given by the customer
+ * @property {string} query - The filter parameters, as a query string
+ * @property {string} summary - The labels of the filters, e.g. "In stock, €0.00–€40.00"
+ */
+
+/**
+ * @typedef {Object} FilterPresetsRefs
+ * @property {HTMLUListElement} presetList - The list of saved presets
+ * @property {HTMLTemplateElement} presetTemplate - The template of a preset in the list
+ * @property {HTMLInputElement} nameInput - The name of the preset to save
+ * @property {HTMLElement | undefined} emptyMessage - The message shown when there are no presets
+ */
+
+/**
+ * Saves the applied filters as named presets, stored per collection in local storage
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['presetList', 'presetTemplate', 'nameInput'];
+
+  /** @static @constant {string} The prefix of the local storage keys of the presets */
+  static #STORAGE_KEY_PREFIX = 'theme:filter-presets:';
+  /** @static @constant {number} The number of presets kept for a collection */
+  static #MAX_PRESETS = 10;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    window.addEventListener('storage', this.#handleStorage);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Saves the applied filters under the typed name, replacing a preset with the same name or filters
+   */
+  savePreset() {
+    const { nameInput } = this.refs;
+    const facetsForm = this.closest('facets-form-component');
+    if (!(facetsForm instanceof FacetsFormComponent)) return;
+
+    const name = nameInput.value.trim();
+    const query = getFilterQuery(facetsForm.createURLParameters());
+
+    if (!name || !query) {
+      nameInput.focus();
+      return;
+    }
+
+    const presets = this.#getPresets().filter((preset) => preset.name !== name && preset.query !== query);
+    presets.unshift({ id: Date.now().toString(36), name, query, summary: describeFilters(facetsForm) });
+
+    this.#setPresets(presets.slice(0, FilterPresetsComponent.#MAX_PRESETS));
+    nameInput.value = '';
+    this.#render();
+  }
+
+  /**
+   * Saves the preset on enter, instead of submitting the facets form
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleNameKeydown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.savePreset();
+  }
+
+  /**
+   * Applies the filters of a preset
+   * @param {Event} event - The click event
+   */
+  applyPreset(event) {
+    const preset = this.#getPresetFromEvent(event);
+    const facetsForm = this.closest('facets-form-component');
+    if (!preset || !(facetsForm instanceof FacetsFormComponent)) return;
+
+    facetsForm.updateFiltersByURL(buildPresetURL(preset).toString());
+  }
+
+  /**
+   * Deletes a preset
+   * @param {Event} event - The click event
+   */
+  deletePreset(event) {
+    const preset = this.#getPresetFromEvent(event);
+    if (!preset) return;
+
+    this.#setPresets(this.#getPresets().filter(({ id }) => id !== preset.id));
+    this.#render();
+  }
+
+  /**
+   * The local storage key of the presets of the collection
+   * @returns {string}
+   */
+  get #storageKey() {
+    return `${FilterPresetsComponent.#STORAGE_KEY_PREFIX}${this.dataset.collection ?? ''}`;
+  }
+
+  /**
+   * @returns {FilterPreset[]}
+   */
+  #getPresets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(this.#storageKey) || '[]');
+      return Array.isArray(presets) ? presets : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {FilterPreset[]} presets
+   */
+  #setPresets(presets) {
+    try {
+      localStorage.setItem(this.#storageKey, JSON.stringify(presets));
+    } catch (error) {
+      console.warn('Failed to save the filter presets:', error);
+    }
+  }
+
+  /**
+   * @param {Event} event - An event from a preset in the list
+   * @returns {FilterPreset | undefined}
+   */
+  #getPresetFromEvent(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const item = event.target.closest('li');
+    if (!(item instanceof HTMLElement)) return;
+
+    return this.#getPresets().find(({ id }) => id === item.dataset.presetId);
+  }
+
+  /**
+   * Renders the presets list, highlighting the preset matching the applied filters
+   */
+  #render() {
+    const { presetList, presetTemplate, emptyMessage } = this.refs;
+    const presets = this.#getPresets();
+    const appliedQuery = getFilterQuery(new URLSearchParams(window.location.search));
+    const activePreset = presets.find(({ query }) => query === appliedQuery);
+
+    presetList.replaceChildren(
+      ...presets.map((preset) => {
+        const fragment = /** @type {DocumentFragment} */ (presetTemplate.content.cloneNode(true));
+        const item = fragment.querySelector('li');
+        if (!item) return fragment;
+
+        item.dataset.presetId = preset.id;
+        item.querySelector('.filter-presets__apply')?.setAttribute('aria-pressed', String(preset === activePreset));
+        item.querySelector('copy-to-clipboard-component')?.setAttribute('text-to-copy', buildPresetURL(preset).href);
+
+        const name = item.querySelector('.filter-presets__name');
+        const summary = item.querySelector('.filter-presets__summary');
+        if (name) name.textContent = preset.name;
+        if (summary) summary.textContent = preset.summary;
+
+        return fragment;
+      })
+    );
+
+    if (emptyMessage) emptyMessage.hidden = presets.length > 0;
+
+    const facetStatus = this.closest('details')?.querySelector('facet-status-component');
+    if (facetStatus instanceof FacetStatusComponent) {
+      facetStatus.updatePresetSummary(activePreset?.name ?? null, presets.length);
+    }
+  }
+
+  #handleFilterUpdate = () => {
+    this.#render();
+  };
+
+  /**
+   * Picks up the presets saved in other tabs
+   * @param {StorageEvent} event
+   */
+  #handleStorage = (event) => {
+    if (event.key === this.#storageKey) this.#render();
+  };
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
+
+/**
+ * Gets the filter parameters of a query, in a stable order so presets can be compared
+ * @param {URLSearchParams} parameters - The URL parameters
+ * @returns {string} The query string, empty when no filter is applied
+ */
+function getFilterQuery(parameters) {
+  const filterParameters = new URLSearchParams();
+
+  for (const [key, value] of parameters) {
+    if (key.startsWith('filter.') && value !== '') filterParameters.append(key, value);
+  }
+
+  filterParameters.sort();
+
+  return filterParameters.toString();
+}
+
+/**
+ * Builds the collection URL with the filters of a preset
+ * @param {FilterPreset} preset
+ * @returns {URL}
+ */
+function buildPresetURL(preset) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.search = preset.query;
+
+  return url;
+}
+
+/**
+ * Describes the filters selected in a facets form, using the labels shown to the customer
+ * @param {HTMLElement} facetsForm - The facets form component
+ * @returns {string}
+ */
+function describeFilters(facetsForm) {
+  /** @type {string[]} */
+  const labels = [];
+
+  for (const input of facetsForm.querySelectorAll('input[data-label]:checked')) {
+    if (input instanceof HTMLInputElement && input.dataset.label) labels.push(input.dataset.label);
+  }
+
+  const priceStatus = facetsForm
+    .querySelector('price-facet-component')
+    ?.closest('details')
+    ?.querySelector('facet-status-component')
+    ?.textContent?.trim();
+  if (priceStatus) labels.push(priceStatus);
+
+  return [...new Set(labels)].join(', ');
+}
@@ -312,6 +312,9 @@ class GiftCardRecipientForm extends Component {
    * @param {CartErrorEvent} event - The cart error event
    */
   #displayCartError(event) {
+    // Only display errors from the product form this recipient form belongs to
+    if (!(event.target instanceof Node) || !event.target.contains(this)) return;
+
     if (event.detail?.data) {
       const { message, errors, description } = event.detail.data;
 
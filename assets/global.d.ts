@@ -13,16 +13,23 @@ declare global {
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
+    analytics?: {
+      publish(eventName: string, payload: Record<string, any>): void;
+    };
+    customerPrivacy?: CustomerPrivacy;
   }
 
   interface Theme {
     translations: Record<string, string>;
     routes: {
+      account_url: string;
       cart_add_url: string;
       cart_change_url: string;
       cart_update_url: string;
       cart_url: string;
+      collections_url: string;
       predictive_search_url: string;
+      root_url: string;
       search_url: string;
     };
     utilities: {
@@ -33,10 +40,18 @@ declare global {
     template: {
       name: string;
     };
+    customer?: {
+      loggedIn: boolean;
+    };
+    performance?: {
+      endpoint: string | null;
+      sampleRate: number;
+    };
   }
 
   interface Window {
     Shopify: Shopify;
+    dataLayer?: Record<string, any>[];
   }
 
   declare const Shopify: Shopify;
@@ -51,6 +66,17 @@ declare global {
     onLoad?: LoadCallback;
   }
 
+  // Refer to https://shopify.dev/docs/api/customer-privacy
+  interface CustomerPrivacy {
+    analyticsProcessingAllowed(): boolean;
+    currentVisitorConsent(): {
+      analytics: 'yes' | 'no' | '';
+      marketing: 'yes' | 'no' | '';
+      preferences: 'yes' | 'no' | '';
+      sale_of_data: 'yes' | 'no' | '';
+    };
+  }
+
   // Refer to https://github.com/Shopify/model-viewer-ui/blob/main/src/js/model-viewer-ui.js
   interface ModelViewer {
     new (
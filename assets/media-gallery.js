@@ -32,15 +32,29 @@ export class MediaGallery extends Component {
     this.#controller.abort();
   }
 
+  /**
+   * Whether the media of the variant resolved in the browser is waiting for the markup of the section.
+   * @type {boolean}
+   */
+  #awaitsRefresh = false;
+
   /**
    * Handles a variant update event by replacing the current media gallery with a new one.
    *
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #handleVariantUpdate = (event) => {
-    const source = event.detail.data.html;
+    const { html: source, refresh } = event.detail.data;
+
+    if (!source) {
+      this.#awaitsRefresh = !this.#selectVariantMedia(event.detail.resource);
+      return;
+    }
+
+    // The media was already selected when the variant was resolved
+    if (refresh && !this.#awaitsRefresh) return;
+    this.#awaitsRefresh = false;
 
-    if (!source) return;
     const newMediaGallery = source.querySelector('media-gallery');
 
     if (!newMediaGallery) return;
@@ -48,6 +62,26 @@ export class MediaGallery extends Component {
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Selects the featured media of a variant resolved in the browser.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant.
+   * @returns {boolean} Whether the media is complete, the grid is ordered by the server with the variant media first.
+   */
+  #selectVariantMedia(variant) {
+    const mediaId = variant?.featured_media?.id;
+    // Variants without media keep the current media
+    if (!mediaId) return true;
+
+    const slides = this.slideshow?.slides ?? [];
+    const index = slides.findIndex((slide) => slide.querySelector(`[data-media-id="${mediaId}"]`));
+    // The media of the other variants are hidden by the server when the gallery hides variant media
+    if (index === -1) return false;
+
+    this.slideshow?.select(index, undefined, { animate: false });
+
+    return this.presentation !== 'grid';
+  }
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
@@ -58,6 +58,15 @@ const CURRENCY_DECIMALS = {
   XUA: 0,
 };
 
+/**
+ * Gets the number of decimals of a currency, e.g. 2 for USD (cents) or 0 for JPY
+ * @param {string} currency - The currency code
+ * @returns {number} The number of decimals
+ */
+export function getCurrencyDecimals(currency) {
+  return CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+}
+
 /**
  * Parses a money string into minor units (the smallest denomination of a currency).
  * Does not assume the money string is formatted in a specific way, aims to be resilient to user input.
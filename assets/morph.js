@@ -1,4 +1,5 @@
 import { Component } from '@theme/component';
+import { realUserMonitoring, sectionPerformance } from '@theme/performance';
 
 /**
  * @typedef {Object} Options
@@ -94,6 +95,21 @@ export const MORPH_OPTIONS = {
  * @returns {Node} The morphed DOM tree
  */
 export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
+  if (!realUserMonitoring.enabled) return morphTree(oldTree, newTree, options);
+
+  const target = oldTree instanceof Element ? oldTree.id || oldTree.localName : oldTree?.nodeName;
+
+  return sectionPerformance.measure('morph', () => morphTree(oldTree, newTree, options), { target });
+}
+
+/**
+ * Morphs one DOM tree into another, without measuring how long it takes
+ * @param {Node} oldTree - The existing DOM tree
+ * @param {Node | string} newTree - The new DOM tree to morph to
+ * @param {Options} options - Configuration options
+ * @returns {Node} The morphed DOM tree
+ */
+function morphTree(oldTree, newTree, options) {
   if (!oldTree || !newTree) {
     throw new Error('Both oldTree and newTree must be provided');
   }
@@ -180,7 +196,7 @@ function morphHydrationByKey(oldRoot, newRoot, options) {
     if (!oldTarget) continue;
 
     // For keyed targets we want attribute updates as well, regardless of the caller's childrenOnly default.
-    morph(oldTarget, newTarget, {
+    morphTree(oldTarget, newTarget, {
       ...options,
       hydrationMode: false,
       childrenOnly: false,
@@ -0,0 +1,218 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} NotifyMeSubscription
+ * @property {string} variantId - The ID of the variant the customer is notified about
+ * @property {string} email - The email the customer subscribed with
+ */
+
+/**
+ * @typedef {Object} NotifyMeRefs
+ * @property {HTMLFormElement} form - The subscription form
+ * @property {HTMLInputElement} emailInput - The email input field
+ * @property {HTMLInputElement} variantIdInput - The ID of the variant the customer subscribes to
+ * @property {HTMLInputElement} [variantTitleInput] - The title of the variant the customer subscribes to (optional)
+ * @property {HTMLButtonElement} submitButton - The button that submits the form
+ * @property {HTMLDivElement} emailError - Email error message container
+ * @property {HTMLElement} successMessage - The message shown once the customer is subscribed
+ */
+
+/**
+ * A custom element that lets customers subscribe to be notified when an unavailable variant is back in stock.
+ * Subscriptions are posted to the contact form or to the endpoint of an app, and remembered in local storage so the
+ * same variant isn't subscribed to twice.
+ *
+ * @extends {Component<NotifyMeRefs>}
+ */
+class NotifyMeComponent extends Component {
+  /** @static @constant {string} The key used to store the subscriptions in local storage */
+  static #STORAGE_KEY = 'notifyMeSubscriptions';
+
+  requiredRefs = ['form', 'emailInput', 'variantIdInput', 'submitButton', 'emailError', 'successMessage'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+
+    this.#renderState();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#abortController = new AbortController();
+  }
+
+  /**
+   * Shows the form when the picked variant is unavailable.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    // Combinations that don't exist can't be back in stock, the form is only shown for sold out variants
+    this.hidden = !variant || variant.available !== false;
+    if (!variant) return;
+
+    const { variantIdInput, variantTitleInput } = this.refs;
+    variantIdInput.value = String(variant.id);
+    if (variantTitleInput) variantTitleInput.value = variant.title ?? '';
+
+    this.#clearErrorMessage();
+    this.#renderState();
+  };
+
+  /**
+   * Subscribes the customer to the variant, unless they already are.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { form, emailInput, submitButton } = this.refs;
+    const email = emailInput.value.trim();
+    const variantId = this.refs.variantIdInput.value;
+
+    if (!email || !emailInput.checkValidity()) {
+      this.#displayErrorMessage(this.dataset.emailErrorMessage ?? '');
+      emailInput.focus();
+      return;
+    }
+
+    this.#clearErrorMessage();
+
+    if (this.#isSubscribed(variantId, email)) {
+      this.#showSuccessMessage(this.dataset.duplicateMessage ?? '');
+      return;
+    }
+
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+
+      // The contact form redirects to a challenge page when it suspects spam, the subscription isn't saved then
+      if (!response.ok || new URL(response.url).pathname.endsWith('/challenge')) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      this.#saveSubscription({ variantId, email });
+      this.#showSuccessMessage(this.dataset.successMessage ?? '');
+    } catch (error) {
+      console.error('Notify me error:', error instanceof Error ? error.message : error);
+      this.#displayErrorMessage(this.dataset.errorMessage ?? '');
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the success message when the customer already subscribed to the variant, or the form otherwise.
+   */
+  #renderState() {
+    const subscription = this.#getSubscriptions().find(
+      (subscription) => subscription.variantId === this.refs.variantIdInput.value
+    );
+
+    if (subscription) {
+      this.#showSuccessMessage(this.dataset.duplicateMessage ?? '');
+    } else {
+      this.refs.form.hidden = false;
+      this.refs.successMessage.hidden = true;
+    }
+  }
+
+  /**
+   * @param {string} message - The message.
+   */
+  #showSuccessMessage(message) {
+    const { form, successMessage } = this.refs;
+
+    successMessage.textContent = message;
+    successMessage.hidden = false;
+    form.hidden = true;
+  }
+
+  /**
+   * Display the error message of the email field
+   * @param {string} message - The message.
+   */
+  #displayErrorMessage(message) {
+    const { emailInput, emailError } = this.refs;
+
+    const errorTextElement = emailError.querySelector('span');
+    if (errorTextElement) errorTextElement.textContent = message;
+    emailError.classList.remove('hidden');
+
+    // Set ARIA attributes for accessibility
+    emailInput.setAttribute('aria-invalid', 'true');
+    emailInput.setAttribute('aria-describedby', emailError.id);
+  }
+
+  /**
+   * Clear the error message and reset ARIA attributes
+   */
+  #clearErrorMessage() {
+    const { emailInput, emailError } = this.refs;
+
+    emailError.classList.add('hidden');
+    const errorTextElement = emailError.querySelector('span');
+    if (errorTextElement) errorTextElement.textContent = '';
+
+    emailInput.removeAttribute('aria-invalid');
+    emailInput.removeAttribute('aria-describedby');
+  }
+
+  /**
+   * @param {string} variantId - The ID of the variant.
+   * @param {string} email - The email.
+   * @returns {boolean} Whether the email is already subscribed to the variant.
+   */
+  #isSubscribed(variantId, email) {
+    return this.#getSubscriptions().some(
+      (subscription) => subscription.variantId === variantId && subscription.email === email.toLowerCase()
+    );
+  }
+
+  /**
+   * @returns {NotifyMeSubscription[]}
+   */
+  #getSubscriptions() {
+    try {
+      const subscriptions = JSON.parse(localStorage.getItem(NotifyMeComponent.#STORAGE_KEY) || '[]');
+      return Array.isArray(subscriptions) ? subscriptions : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {NotifyMeSubscription} subscription
+   */
+  #saveSubscription({ variantId, email }) {
+    const subscriptions = [...this.#getSubscriptions(), { variantId, email: email.toLowerCase() }];
+
+    try {
+      localStorage.setItem(NotifyMeComponent.#STORAGE_KEY, JSON.stringify(subscriptions));
+    } catch (error) {
+      console.warn('Failed to save the notify me subscription:', error);
+    }
+  }
+}
+
+if (!customElements.get('notify-me-component')) {
+  customElements.define('notify-me-component', NotifyMeComponent);
+}
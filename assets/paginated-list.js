@@ -1,7 +1,7 @@
 import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
 import { requestIdleCallback, viewTransition } from '@theme/utilities';
-import { ThemeEvents } from '@theme/events';
+import { SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
 import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-ratio';
 
 /**
@@ -12,6 +12,7 @@ import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-rat
  * @property {HTMLSpanElement} [viewMorePrevious] - The view more previous button.
  * @property {HTMLSpanElement} [viewMoreNext] - The view more next button.
  * @property {HTMLElement[]} [cards] - The cards elements.
+ * @property {HTMLElement} [renderError] - The retry state shown when a page can't be loaded.
  *
  * @extends Component<Refs>
  */
@@ -33,6 +34,12 @@ export default class PaginatedList extends Component {
   /** @type {PaginatedListAspectRatioHelper} */
   #aspectRatioHelper;
 
+  /**
+   * The page that couldn't be loaded, rendered when the visitor tries again
+   * @type {"previous" | "next" | null}
+   */
+  #failedPageType = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -50,6 +57,7 @@ export default class PaginatedList extends Component {
 
     // Listen for filter updates to clear cached pages
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.addEventListener(ThemeEvents.sectionRenderError, this.#handleRenderError);
   }
 
   disconnectedCallback() {
@@ -59,6 +67,7 @@ export default class PaginatedList extends Component {
     }
     // Remove the filter update listener
     document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.removeEventListener(ThemeEvents.sectionRenderError, this.#handleRenderError);
   }
 
   #observeViewMore() {
@@ -141,8 +150,13 @@ export default class PaginatedList extends Component {
       return;
     }
 
-    await this.#fetchSpecificPage(page.page, page.url);
-    resolvePromise();
+    try {
+      await this.#fetchSpecificPage(page.page, page.url);
+    } catch {
+      this.#failedPageType = type;
+    } finally {
+      resolvePromise();
+    }
   }
 
   /**
@@ -160,7 +174,7 @@ export default class PaginatedList extends Component {
     }
 
     if (!this.#shouldUsePage(pageInfo)) return;
-    const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url);
+    const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url, { target: this });
     this.pages.set(pageNumber, pageContent);
   }
 
@@ -289,6 +303,35 @@ export default class PaginatedList extends Component {
     return gridElement.querySelectorAll(':scope > [ref="cards[]"]');
   }
 
+  /**
+   * Loads the page that failed again, rendering it once it is loaded
+   */
+  retryRender() {
+    const { renderError } = this.refs;
+    if (renderError) renderError.hidden = true;
+
+    const type = this.#failedPageType;
+    this.#failedPageType = null;
+
+    if (type === 'previous') {
+      this.#renderPreviousPage();
+    } else {
+      this.#renderNextPage();
+    }
+  }
+
+  /**
+   * Shows the retry state when a page can't be loaded
+   * @param {SectionRenderErrorEvent} event
+   */
+  #handleRenderError = (event) => {
+    // Sections rendered by nested components, like the filters, show their own retry state
+    if (event.target !== this) return;
+
+    const { renderError } = this.refs;
+    if (renderError) renderError.hidden = false;
+  };
+
   get sectionId() {
     const id = this.getAttribute('section-id');
 
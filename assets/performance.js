@@ -1,3 +1,250 @@
+/**
+ * @typedef {Record<string, string | number | boolean | undefined>} MetricDetail
+ */
+
+/**
+ * @typedef {Object} MetricEntry
+ * @property {string} name - The name of the metric
+ * @property {number} duration - The duration, in milliseconds
+ * @property {number} startTime - When the metric started, relative to the navigation start
+ * @property {MetricDetail} [detail] - Additional details about the metric
+ */
+
+/**
+ * Collects performance metrics from real visitors and sends them in batches to the configured endpoint.
+ *
+ * Only a sample of the sessions is monitored. The theme's own measures are collected along with the
+ * Largest Contentful Paint, Interaction to Next Paint and Cumulative Layout Shift of the page.
+ */
+class RealUserMonitoring {
+  /** @static @constant {string} The key used to store whether the session is sampled in session storage */
+  static #SAMPLED_STORAGE_KEY = 'theme:rum-sampled';
+  /** @static @constant {number} The number of entries that triggers sending a batch */
+  static #BATCH_SIZE = 20;
+  /** @static @constant {number} The maximum number of entries sent for a page view */
+  static #MAX_ENTRIES = 200;
+  /** @static @constant {number} Interactions faster than this are ignored when looking for the slowest one */
+  static #INTERACTION_THRESHOLD = 40;
+
+  /**
+   * The URL the metrics are sent to, or null when the session isn't monitored
+   * @type {string | null}
+   */
+  #endpoint = null;
+
+  /**
+   * @type {string}
+   */
+  #pageViewId = Math.random().toString(36).slice(2);
+
+  /**
+   * The entries waiting to be sent
+   * @type {MetricEntry[]}
+   */
+  #entries = [];
+
+  /**
+   * The number of entries recorded for the page view
+   * @type {number}
+   */
+  #entryCount = 0;
+
+  /**
+   * @type {{ lcp?: number, cls?: number, inp?: number, inpTarget?: string }}
+   */
+  #vitals = {};
+
+  /**
+   * The longest duration of each interaction, by interaction id
+   * @type {Map<number, { duration: number, target: string }>}
+   */
+  #interactions = new Map();
+
+  /**
+   * The layout shifts of the current session window
+   * @type {{ value: number, firstTime: number, lastTime: number }}
+   */
+  #shiftWindow = { value: 0, firstTime: 0, lastTime: 0 };
+
+  constructor() {
+    const { endpoint, sampleRate } = Theme.performance ?? {};
+    if (!endpoint || !this.#isSampled(sampleRate ?? 0)) return;
+
+    this.#endpoint = endpoint;
+    this.#observeVitals();
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.#flush();
+    });
+    window.addEventListener('pagehide', () => this.#flush());
+  }
+
+  /**
+   * Whether the session is monitored
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.#endpoint !== null;
+  }
+
+  /**
+   * Records a metric, sending the batch once it is full
+   * @param {string} name - The name of the metric
+   * @param {number} duration - The duration, in milliseconds
+   * @param {number} startTime - When the metric started, relative to the navigation start
+   * @param {MetricDetail} [detail] - Additional details about the metric
+   */
+  record(name, duration, startTime, detail) {
+    if (!this.enabled || this.#entryCount >= RealUserMonitoring.#MAX_ENTRIES) return;
+
+    this.#entryCount++;
+    this.#entries.push({ name, duration: Math.round(duration), startTime: Math.round(startTime), detail });
+
+    if (this.#entries.length >= RealUserMonitoring.#BATCH_SIZE) this.#flush();
+  }
+
+  /**
+   * Decides once per session whether it is monitored
+   * @param {number} sampleRate - The percentage of sessions to monitor
+   * @returns {boolean}
+   */
+  #isSampled(sampleRate) {
+    try {
+      let sampled = sessionStorage.getItem(RealUserMonitoring.#SAMPLED_STORAGE_KEY);
+
+      if (sampled === null) {
+        sampled = Math.random() * 100 < sampleRate ? '1' : '0';
+        sessionStorage.setItem(RealUserMonitoring.#SAMPLED_STORAGE_KEY, sampled);
+      }
+
+      return sampled === '1';
+    } catch {
+      return Math.random() * 100 < sampleRate;
+    }
+  }
+
+  /**
+   * Observes the entries the Core Web Vitals are computed from
+   */
+  #observeVitals() {
+    this.#observe('largest-contentful-paint', (entry) => {
+      this.#vitals.lcp = Math.round(entry.startTime);
+    });
+
+    this.#observe('layout-shift', (entry) => {
+      const shift = /** @type {PerformanceEntry & { value: number, hadRecentInput: boolean }} */ (entry);
+      if (shift.hadRecentInput) return;
+
+      // Shifts less than a second apart, within a five seconds window, count as one session
+      const shiftWindow = this.#shiftWindow;
+      const startsNewWindow =
+        shift.startTime - shiftWindow.lastTime > 1000 || shift.startTime - shiftWindow.firstTime > 5000;
+
+      if (shiftWindow.value === 0 || startsNewWindow) {
+        shiftWindow.value = 0;
+        shiftWindow.firstTime = shift.startTime;
+      }
+
+      shiftWindow.value += shift.value;
+      shiftWindow.lastTime = shift.startTime;
+      this.#vitals.cls = Math.max(this.#vitals.cls ?? 0, Math.round(shiftWindow.value * 1000) / 1000);
+    });
+
+    this.#observe(
+      'event',
+      (entry) => {
+        const event = /** @type {PerformanceEventTiming & { interactionId?: number }} */ (entry);
+        if (!event.interactionId) return;
+
+        const interaction = this.#interactions.get(event.interactionId);
+        if (interaction && interaction.duration >= event.duration) return;
+
+        this.#interactions.set(event.interactionId, {
+          duration: event.duration,
+          target: describeTarget(event.target),
+        });
+        this.#updateInteractionToNextPaint();
+      },
+      { durationThreshold: RealUserMonitoring.#INTERACTION_THRESHOLD }
+    );
+  }
+
+  /**
+   * @param {string} type - The type of the performance entries
+   * @param {(entry: PerformanceEntry) => void} callback - Called with each entry
+   * @param {Record<string, any>} [options] - Additional observer options
+   */
+  #observe(type, callback, options) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({
+        type,
+        buffered: true,
+        ...options,
+      });
+    } catch (error) {
+      console.warn(`Failed to observe ${type} entries:`, error);
+    }
+  }
+
+  /**
+   * Estimates the 98th percentile of the interactions, ignoring one outlier for every 50 interactions
+   */
+  #updateInteractionToNextPaint() {
+    const interactions = [...this.#interactions.values()].sort((a, b) => b.duration - a.duration);
+    const interaction = interactions[Math.min(Math.floor(this.#interactions.size / 50), interactions.length - 1)];
+    if (!interaction) return;
+
+    this.#vitals.inp = Math.round(interaction.duration);
+    this.#vitals.inpTarget = interaction.target;
+  }
+
+  /**
+   * Sends the entries recorded so far, along with the current Core Web Vitals
+   */
+  #flush() {
+    if (!this.#endpoint) return;
+
+    const entries = this.#entries;
+    this.#entries = [];
+
+    const payload = {
+      pageViewId: this.#pageViewId,
+      template: Theme.template.name,
+      path: window.location.pathname,
+      effectiveConnectionType: /** @type {any} */ (navigator).connection?.effectiveType,
+      deviceMemory: navigator.deviceMemory,
+      vitals: this.#vitals,
+      entries,
+    };
+
+    try {
+      if (!navigator.sendBeacon?.(this.#endpoint, JSON.stringify(payload))) {
+        this.#entries = entries.concat(this.#entries);
+      }
+    } catch (error) {
+      console.warn('Failed to send performance metrics:', error);
+    }
+  }
+}
+
+/**
+ * Describes the element an interaction happened on, using the closest custom element (e.g. `quick-add-component`)
+ * @param {Node | null} target - The interaction target
+ * @returns {string}
+ */
+function describeTarget(target) {
+  let element = target instanceof Element ? target : (target?.parentElement ?? null);
+  const tagName = element?.tagName.toLowerCase() ?? '';
+
+  while (element && !element.tagName.includes('-')) element = element.parentElement;
+
+  return element ? element.tagName.toLowerCase() : tagName;
+}
+
+export const realUserMonitoring = new RealUserMonitoring();
+
 class ThemePerformance {
   /**
    * @param {string} metricPrefix
@@ -18,9 +265,10 @@ class ThemePerformance {
   /**
    * @param {string} benchmarkName
    * @param {Event} event
+   * @param {MetricDetail} [detail] - Additional details sent with the metric
    * @returns {void}
    */
-  measureFromEvent(benchmarkName, event) {
+  measureFromEvent(benchmarkName, event, detail) {
     const metricName = `${this.metricPrefix}:${benchmarkName}`;
     performance.mark(`${metricName}:start`, {
       startTime: event.timeStamp,
@@ -28,35 +276,60 @@ class ThemePerformance {
 
     performance.mark(`${metricName}:end`);
 
-    performance.measure(metricName, `${metricName}:start`, `${metricName}:end`);
+    this.#record(performance.measure(metricName, `${metricName}:start`, `${metricName}:end`), detail);
+    performance.clearMarks(`${metricName}:start`);
+    performance.clearMarks(`${metricName}:end`);
   }
 
   /**
    * @param {PerformanceMark} startMarker
+   * @param {MetricDetail} [detail] - Additional details sent with the metric
    * @returns {void}
    */
-  measureFromMarker(startMarker) {
+  measureFromMarker(startMarker, detail) {
     const metricName = startMarker.name.replace(/:start$/, '');
     const endMarker = performance.mark(`${metricName}:end`);
 
-    performance.measure(metricName, startMarker.name, endMarker.name);
+    // The marks of concurrent measures share their names, so the measure goes by the time of this one's marks
+    this.#record(performance.measure(metricName, { start: startMarker.startTime, end: endMarker.startTime }), detail);
+    performance.clearMarks(startMarker.name);
+    performance.clearMarks(endMarker.name);
   }
 
   /**
+   * @template T
    * @param {string} benchmarkName
-   * @param {Function} callback
-   * @returns {void}
+   * @param {() => T} callback
+   * @param {MetricDetail} [detail] - Additional details sent with the metric
+   * @returns {T} The value returned by the callback
    */
-  measure(benchmarkName, callback) {
+  measure(benchmarkName, callback, detail) {
+    if (!realUserMonitoring.enabled) return callback();
+
+    // Measured by timestamps rather than marks, as nested and concurrent calls would share the mark names
     const metricName = `${this.metricPrefix}:${benchmarkName}`;
-    performance.mark(`${metricName}:start`);
+    const start = performance.now();
 
-    callback();
+    const result = callback();
 
-    performance.mark(`${metricName}:end`);
+    this.#record(performance.measure(metricName, { start, end: performance.now() }), detail);
+
+    return result;
+  }
+
+  /**
+   * Sends a measure to the real user monitoring endpoint
+   * @param {PerformanceMeasure | undefined} measure - The measure, older browsers don't return it
+   * @param {MetricDetail} [detail]
+   */
+  #record(measure, detail) {
+    if (!measure) return;
 
-    performance.measure(benchmarkName, `${metricName}:start`, `${metricName}:end`);
+    realUserMonitoring.record(measure.name, measure.duration, measure.startTime, detail);
+    performance.clearMeasures(measure.name);
   }
 }
 
 export const cartPerformance = new ThemePerformance('cart-performance');
+export const interactionPerformance = new ThemePerformance('interaction-performance');
+export const sectionPerformance = new ThemePerformance('section-performance');
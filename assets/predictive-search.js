@@ -1,9 +1,22 @@
 import { Component } from '@theme/component';
-import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
+import { debounce, normalizeString, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
 import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { RecentSearches } from '@theme/recent-searches';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
+import { SearchQueryNormalizer, parseSynonyms } from '@theme/search-query';
+import { cartStore, CartError } from '@theme/cart-store';
+
+/**
+ * The number of recently viewed products shown in the empty state
+ */
+const RECENTLY_VIEWED_LIMIT = 4;
+
+/**
+ * Search terms starting with this prefix run commands instead of searching, e.g. `>cart`
+ */
+const COMMAND_PREFIX = '>';
 
 /**
  * A custom element that allows the user to search for resources available on the store.
@@ -16,6 +29,12 @@ import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialo
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLTemplateElement} [suggestionTemplate] - The "Did you mean…" suggestion, with a `data-suggested-terms` button.
+ * @property {HTMLTemplateElement} [correctionTemplate] - The notice shown with the results of corrected search terms.
+ * @property {HTMLTemplateElement} [recentSearchesTemplate] - The recent searches list of the empty state.
+ * @property {HTMLTemplateElement} [recentSearchTemplate] - A recent search item.
+ * @property {HTMLTemplateElement} [commandsTemplate] - The command palette, with every command.
+ * @property {HTMLElement} [commandStatus] - Announces the outcome of the quick actions.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -30,6 +49,12 @@ class PredictiveSearchComponent extends Component {
 
   #emptyStateLoaded = false;
 
+  /**
+   * Applies the synonyms of the merchant and corrects misspelled search terms
+   * @type {SearchQueryNormalizer}
+   */
+  #queryNormalizer = new SearchQueryNormalizer(new Map());
+
   /**
    * Get the dialog component.
    * @returns {DialogComponent | null} The dialog component.
@@ -44,6 +69,8 @@ class PredictiveSearchComponent extends Component {
     const { dialog } = this;
     const { signal } = this.#controller;
 
+    this.#queryNormalizer = new SearchQueryNormalizer(parseSynonyms(this.dataset.synonyms ?? ''));
+
     if (this.refs.searchInput.value.length > 0) {
       this.#showResetButton();
     }
@@ -56,13 +83,24 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
-    if (RecentlyViewed.getProducts().length > 0) {
+    this.addEventListener('click', this.#recordClickedSearch, { signal });
+    this.addEventListener('submit', this.#recordSubmittedSearch, { signal });
+
+    if (this.#hasHistory) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
       });
     }
   }
 
+  /**
+   * Whether there are recently viewed products or recent searches to show in the empty state.
+   * @returns {boolean}
+   */
+  get #hasHistory() {
+    return RecentlyViewed.getProducts().length > 0 || RecentSearches.getSearches().length > 0;
+  }
+
   /**
    * Handles clicks within the predictive search modal to maintain focus on the input
    * @param {MouseEvent} event - The mouse event
@@ -88,13 +126,24 @@ class PredictiveSearchComponent extends Component {
   }
 
   /**
-   * Handles the CMD+K key combination.
+   * Toggles the dialog with Cmd+K or Ctrl+K, and opens it with `/` outside of text fields.
    * @param {KeyboardEvent} event - The keyboard event.
    */
   #handleKeyboardShortcut = (event) => {
-    if (event.metaKey && event.key === 'k') {
-      this.dialog?.toggleDialog();
+    const { dialog } = this;
+    if (!dialog) return;
+
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+      event.preventDefault();
+      dialog.toggleDialog();
+      return;
     }
+
+    if (event.key !== '/' || event.metaKey || event.ctrlKey || event.altKey || dialog.refs.dialog.open) return;
+    if (isEditable(event.target)) return;
+
+    event.preventDefault();
+    dialog.showDialog();
   };
 
   /**
@@ -105,7 +154,7 @@ class PredictiveSearchComponent extends Component {
   };
 
   #handleDialogOpen = () => {
-    if (!this.#emptyStateLoaded && RecentlyViewed.getProducts().length > 0) {
+    if (!this.#emptyStateLoaded && this.#hasHistory) {
       this.#loadEmptyState();
     }
   };
@@ -148,6 +197,10 @@ class PredictiveSearchComponent extends Component {
   }
 
   set #currentIndex(index) {
+    const { searchInput } = this.refs;
+
+    searchInput.removeAttribute('aria-activedescendant');
+
     if (!this.#allResultsItems?.length) return;
 
     let activeItem = null;
@@ -168,8 +221,13 @@ class PredictiveSearchComponent extends Component {
       }
     }
 
+    if (activeItem) {
+      if (!activeItem.id) activeItem.id = `predictive-search-option-${index}`;
+      searchInput.setAttribute('aria-activedescendant', activeItem.id);
+    }
+
     activeItem?.scrollIntoView({ behavior: prefersReducedMotion() ? 'instant' : 'smooth', block: 'nearest' });
-    this.refs.searchInput.focus();
+    searchInput.focus();
   }
 
   get #currentItem() {
@@ -187,6 +245,8 @@ class PredictiveSearchComponent extends Component {
     }
 
     if (!this.#allResultsItems?.length || event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      // Commands that match nothing aren't searched
+      if (event.key === 'Enter' && this.#isCommand) event.preventDefault();
       return;
     }
 
@@ -219,6 +279,13 @@ class PredictiveSearchComponent extends Component {
         break;
 
       case 'Enter': {
+        if (this.#isCommand) {
+          event.preventDefault();
+          const action = this.#currentItem?.querySelector('.predictive-search-results__command-action');
+          if (action instanceof HTMLElement) action.click();
+          return;
+        }
+
         const singleResultContainer = this.refs.predictiveSearchResults.querySelector('[data-single-result-url]');
         if (singleResultContainer instanceof HTMLElement && singleResultContainer.dataset.singleResultUrl) {
           event.preventDefault();
@@ -232,13 +299,234 @@ class PredictiveSearchComponent extends Component {
         } else {
           const searchUrl = new URL(Theme.routes.search_url, location.origin);
           searchUrl.searchParams.set('q', this.refs.searchInput.value);
+          RecentSearches.addSearch(this.refs.searchInput.value);
           window.location.href = searchUrl.toString();
         }
         break;
       }
+
+      case 'Delete': {
+        const currentItem = this.#currentItem;
+        if (this.refs.searchInput.value || !currentItem?.hasAttribute('data-recent-search')) return;
+
+        event.preventDefault();
+        this.#removeRecentSearchItem(currentItem);
+        this.#currentIndex = Math.min(currentIndex, this.#allResultsItems.length - 1);
+        break;
+      }
     }
   };
 
+  /**
+   * Records the search when a result is clicked. Query suggestions and recent searches are recorded as searched.
+   * @param {MouseEvent} event - The click event.
+   */
+  #recordClickedSearch = (event) => {
+    const link = event.target instanceof Element ? event.target.closest('a') : null;
+    if (!link || !this.refs.predictiveSearchResults.contains(link) || link.closest('[data-command]')) return;
+
+    const isQuery = link.closest('.predictive-search-results__card--query');
+    RecentSearches.addSearch(isQuery ? (link.textContent ?? '') : this.refs.searchInput.value);
+  };
+
+  /**
+   * Records the search when the form is submitted. Commands aren't searched.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #recordSubmittedSearch = (event) => {
+    if (this.#isCommand) {
+      event.preventDefault();
+      return;
+    }
+
+    RecentSearches.addSearch(this.refs.searchInput.value);
+  };
+
+  /**
+   * Whether the search terms are a command of the command palette.
+   * @returns {boolean}
+   */
+  get #isCommand() {
+    return this.refs.searchInput.value.trimStart().startsWith(COMMAND_PREFIX);
+  }
+
+  /**
+   * Renders the commands matching the typed command, e.g. `car` or `collection:summer`, and selects the first one
+   * so Enter runs it.
+   * @param {string} input - The search terms without the command prefix
+   */
+  #renderCommands(input) {
+    const { commandsTemplate, predictiveSearchResults } = this.refs;
+    if (!commandsTemplate) return;
+
+    // Search results still loading are outdated
+    this.#createAbortController();
+
+    const separator = input.indexOf(':');
+    const keyword = normalizeString(separator === -1 ? input : input.slice(0, separator)).trim();
+    const argument = separator === -1 ? '' : input.slice(separator + 1).trim();
+    const [lastViewed] = RecentlyViewed.getEntries();
+
+    const palette = /** @type {DocumentFragment} */ (commandsTemplate.content.cloneNode(true));
+
+    for (const command of palette.querySelectorAll('[data-command]')) {
+      if (!(command instanceof HTMLElement)) continue;
+
+      const name = command.dataset.command ?? '';
+      const acceptsArgument = command.hasAttribute('data-command-argument');
+      const matches = separator === -1 ? name.startsWith(keyword) : acceptsArgument && name === keyword;
+
+      if (!matches || (name === 'add-last-viewed' && !lastViewed?.variantId)) {
+        command.remove();
+        continue;
+      }
+
+      const link = command.querySelector('a[data-route]');
+      if (link instanceof HTMLAnchorElement) link.href = getCommandURL(link.dataset.route ?? '', argument);
+
+      const argumentValue = command.querySelector('[data-command-argument-value]');
+      if (argumentValue) argumentValue.textContent = argument;
+    }
+
+    if (palette.querySelector('[data-command]')) {
+      palette.querySelector('[data-commands-empty]')?.remove();
+    } else {
+      palette.querySelector('.predictive-search-results__commands')?.remove();
+    }
+
+    const results = predictiveSearchResults.cloneNode(false);
+    results.appendChild(palette);
+
+    morph(predictiveSearchResults, results);
+    this.#updateExpanded();
+    this.#currentIndex = 0;
+    this.#resetScrollPositions();
+  }
+
+  /**
+   * Adds the product viewed last to the cart, with the variant it was last viewed with.
+   */
+  addLastViewedToCart() {
+    const [lastViewed] = RecentlyViewed.getEntries();
+    if (!lastViewed?.variantId) return;
+
+    const { commandStatus } = this.refs;
+    const formData = new FormData();
+    formData.set('id', lastViewed.variantId);
+    formData.set('quantity', '1');
+
+    /** @type {string[]} */
+    const sections = [];
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sections.push(item.dataset.sectionId);
+      }
+    }
+
+    if (commandStatus) commandStatus.textContent = '';
+
+    cartStore
+      .add(formData, {
+        target: this,
+        sourceId: lastViewed.variantId,
+        eventData: {
+          source: 'predictive-search-component',
+          itemCount: 1,
+          productId: lastViewed.productId,
+        },
+        sections,
+      })
+      .then(() => {
+        if (commandStatus) commandStatus.textContent = Theme.translations.added ?? '';
+        this.dialog?.closeDialog();
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
+
+        if (commandStatus) commandStatus.textContent = error.message;
+      });
+  }
+
+  /**
+   * Tells assistive technologies whether the combobox shows options.
+   */
+  #updateExpanded() {
+    this.refs.searchInput.setAttribute('aria-expanded', String(this.#allResultsItems.length > 0));
+  }
+
+  /**
+   * Removes a recent search.
+   * @param {Event} event - The click event.
+   */
+  removeRecentSearch(event) {
+    event.stopPropagation();
+
+    const item = event.target instanceof Element ? event.target.closest('[data-recent-search]') : null;
+    if (!(item instanceof HTMLElement)) return;
+
+    this.#removeRecentSearchItem(item);
+    this.#currentIndex = -1;
+  }
+
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The event.
+   */
+  clearRecentSearches(event) {
+    event.stopPropagation();
+
+    RecentSearches.clearSearches();
+
+    this.querySelector('[data-recent-searches]')?.remove();
+    this.#currentIndex = -1;
+  }
+
+  /**
+   * Removes a recent search and its item, and the recent searches list once it is empty.
+   * @param {HTMLElement} item - The recent search item.
+   */
+  #removeRecentSearchItem(item) {
+    const wrapper = item.closest('[data-recent-searches]');
+
+    RecentSearches.removeSearch(item.querySelector('a')?.textContent ?? '');
+    item.remove();
+
+    if (wrapper && !wrapper.querySelector('[data-recent-search]')) wrapper.remove();
+  }
+
+  /**
+   * Renders the recent searches at the top of the empty state.
+   * @param {Element} emptyState - The empty state markup.
+   */
+  #addRecentSearches(emptyState) {
+    const { recentSearchesTemplate, recentSearchTemplate } = this.refs;
+    const searches = RecentSearches.getSearches();
+    const container = emptyState.querySelector('.predictive-search-results__inner');
+    if (!recentSearchesTemplate || !recentSearchTemplate || !container || searches.length === 0) return;
+
+    const recentSearches = /** @type {DocumentFragment} */ (recentSearchesTemplate.content.cloneNode(true));
+    const list = recentSearches.querySelector('ul');
+    if (!list) return;
+
+    for (const search of searches) {
+      const item = /** @type {DocumentFragment} */ (recentSearchTemplate.content.cloneNode(true));
+      const link = item.querySelector('a');
+      if (!link) continue;
+
+      const searchUrl = new URL(Theme.routes.search_url, location.origin);
+      searchUrl.searchParams.set('q', search);
+
+      link.href = searchUrl.toString();
+      link.textContent = search;
+      list.append(item);
+    }
+
+    container.prepend(recentSearches);
+  }
+
   /**
    * Clears the recently viewed products.
    * @param {Event} event - The event.
@@ -293,6 +581,12 @@ class PredictiveSearchComponent extends Component {
     }
 
     this.#showResetButton();
+
+    if (searchTerm.startsWith(COMMAND_PREFIX)) {
+      this.#renderCommands(searchTerm.slice(COMMAND_PREFIX.length));
+      return;
+    }
+
     this.#getSearchResults(searchTerm);
   }, 200);
 
@@ -306,36 +600,117 @@ class PredictiveSearchComponent extends Component {
     });
   }
 
+  /**
+   * Searches for the suggested search terms.
+   * @param {Event} event - The click event.
+   */
+  applySuggestion(event) {
+    const terms = event.target instanceof HTMLElement ? event.target.textContent?.trim() : '';
+    if (!terms) return;
+
+    const { searchInput } = this.refs;
+
+    searchInput.value = terms;
+    searchInput.focus();
+    this.#currentIndex = -1;
+    this.#getSearchResults(terms);
+  }
+
   /**
    * Fetch search results using the section renderer and update the results container.
+   * Searches with the synonyms of the merchant, then suggests corrected search terms when some are misspelled.
+   * The results of the corrected terms replace the results when the search terms find nothing.
    * @param {string} searchTerm - The term to search for
    */
   async #getSearchResults(searchTerm) {
-    if (!this.dataset.sectionId) return;
+    const { sectionId } = this.dataset;
+    if (!sectionId) return;
 
-    const url = new URL(Theme.routes.predictive_search_url, location.origin);
-    url.searchParams.set('q', searchTerm);
-    url.searchParams.set('resources[limit_scope]', 'each');
-
-    const { predictiveSearchResults } = this.refs;
+    const { predictiveSearchResults, suggestionTemplate, correctionTemplate } = this.refs;
 
     const abortController = this.#createAbortController();
 
-    sectionRenderer
-      .getSectionHTML(this.dataset.sectionId, false, url)
-      .then((resultsMarkup) => {
-        if (!resultsMarkup) return;
+    try {
+      const { query, correction: pendingCorrection } = this.#queryNormalizer.normalize(searchTerm);
 
-        if (abortController.signal.aborted) return;
+      const markup = await this.#fetchResults(sectionId, query);
+      const queryResults = this.#parseResults(markup);
+      if (!queryResults || abortController.signal.aborted) return;
 
-        morph(predictiveSearchResults, resultsMarkup);
+      const hasResults = !queryResults.querySelector('.predictive-search-results__no-results');
 
-        this.#resetScrollPositions();
-      })
-      .catch((error) => {
-        if (abortController.signal.aborted) return;
-        throw error;
-      });
+      morph(predictiveSearchResults, queryResults);
+
+      this.#updateExpanded();
+      this.#resetScrollPositions();
+
+      // The words are corrected once the titles are loaded, the results of the search terms are shown meanwhile
+      const correction = await pendingCorrection;
+      if (!correction || abortController.signal.aborted) return;
+
+      // Morphing moves the nodes of the results, so the notice is added to a fresh copy
+      let results = this.#parseResults(markup);
+      let notice = suggestionTemplate;
+
+      if (!hasResults) {
+        const correctedResults = this.#parseResults(await this.#fetchResults(sectionId, correction));
+
+        if (correctedResults && !correctedResults.querySelector('.predictive-search-results__no-results')) {
+          results = correctedResults;
+          notice = correctionTemplate;
+        }
+      }
+
+      if (!results || !notice || abortController.signal.aborted) return;
+
+      this.#addSuggestion(results, notice, correction);
+
+      morph(predictiveSearchResults, results);
+
+      this.#updateExpanded();
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} sectionId - The predictive search section ID
+   * @param {string} query - The search query
+   * @returns {Promise<string>} The section markup
+   */
+  #fetchResults(sectionId, query) {
+    const url = new URL(Theme.routes.predictive_search_url, location.origin);
+    url.searchParams.set('q', query);
+    url.searchParams.set('resources[limit_scope]', 'each');
+
+    return sectionRenderer.getSectionHTML(sectionId, false, url);
+  }
+
+  /**
+   * @param {string} markup - The section markup
+   * @returns {Element | null} The section element
+   */
+  #parseResults(markup) {
+    if (!markup) return null;
+
+    return new DOMParser().parseFromString(markup, 'text/html').body.firstElementChild;
+  }
+
+  /**
+   * Renders the corrected search terms at the top of the results
+   * @param {Element} results - The section element
+   * @param {HTMLTemplateElement} template - The suggestion or correction template
+   * @param {string} terms - The corrected search terms
+   */
+  #addSuggestion(results, template, terms) {
+    const container = results.querySelector('[data-search-results]');
+    const suggestion = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+    const termsElement = suggestion.querySelector('[data-suggested-terms]');
+    if (!container || !termsElement) return;
+
+    termsElement.textContent = terms;
+    container.prepend(suggestion);
   }
 
   /**
@@ -345,14 +720,14 @@ class PredictiveSearchComponent extends Component {
   async #getRecentlyViewedProductsMarkup() {
     if (!this.dataset.sectionId) return null;
 
-    const viewedProducts = RecentlyViewed.getProducts();
+    const viewedProducts = RecentlyViewed.getProducts(RECENTLY_VIEWED_LIMIT);
     if (viewedProducts.length === 0) return null;
 
     const url = new URL(Theme.routes.search_url, location.origin);
-    url.searchParams.set('q', viewedProducts.map(/** @param {string} id */ (id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('q', viewedProducts.map((id) => `id:${id}`).join(' OR '));
     url.searchParams.set('resources[type]', 'product');
 
-    return sectionRenderer.getSectionHTML(this.dataset.sectionId, false, url);
+    return sectionRenderer.getSectionHTML(this.dataset.sectionId, true, url);
   }
 
   #hideResetButton() {
@@ -388,13 +763,15 @@ class PredictiveSearchComponent extends Component {
     const url = new URL(window.location.href);
     url.searchParams.delete('page');
 
-    const emptySectionMarkup = await sectionRenderer.getSectionHTML(emptySectionId, false, url);
+    const emptySectionMarkup = await sectionRenderer.getSectionHTML(emptySectionId, true, url);
     const parsedEmptySectionMarkup = new DOMParser()
       .parseFromString(emptySectionMarkup, 'text/html')
       .querySelector('.predictive-search-empty-section');
 
     if (!parsedEmptySectionMarkup) throw new Error('No empty section markup found');
 
+    this.#addRecentSearches(parsedEmptySectionMarkup);
+
     /** This needs to be awaited and not .then so the DOM is already morphed
      * when #closeResults is called and therefore the height is animated */
     const viewedProducts = RecentlyViewed.getProducts();
@@ -421,10 +798,40 @@ class PredictiveSearchComponent extends Component {
     if (abortController.signal.aborted) return;
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
+    this.#updateExpanded();
     this.#resetScrollPositions();
   };
 }
 
+/**
+ * Builds the URL a command navigates to
+ * @param {string} route - The name of the route in `Theme.routes`
+ * @param {string} argument - The argument of the command, the handle of the collection for `>collection:`
+ * @returns {string} The URL
+ */
+function getCommandURL(route, argument) {
+  const routes = /** @type {Record<string, string | undefined>} */ (Theme.routes);
+  const url = routes[route] ?? Theme.routes.root_url;
+  if (!argument) return url;
+
+  const handle = normalizeString(argument)
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${url.replace(/\/$/, '')}/${encodeURIComponent(handle)}`;
+}
+
+/**
+ * Whether a keyboard event comes from a field the customer types in, where `/` is typed rather than a shortcut
+ * @param {EventTarget | null} target - The event target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  if (!(target instanceof HTMLElement)) return false;
+
+  return target.isContentEditable || target.matches('input, textarea, select');
+}
+
 if (!customElements.get('predictive-search-component')) {
   customElements.define('predictive-search-component', PredictiveSearchComponent);
 }
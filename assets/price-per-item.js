@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents } from '@theme/events';
+import { SellingPlanUpdateEvent, ThemeEvents } from '@theme/events';
 
 /**
  * Displays dynamic per-item pricing based on quantity and volume pricing tiers.
@@ -17,10 +17,16 @@ import { ThemeEvents } from '@theme/events';
 class PricePerItemComponent extends Component {
   /** @type {PriceBreak[]} */
   #priceBreaks = [];
+  /**
+   * The price of each delivery of the selected selling plan, subscriptions don't get the volume pricing
+   * @type {string | undefined}
+   */
+  #sellingPlanPrice;
   #abortController = new AbortController();
 
   connectedCallback() {
     super.connectedCallback();
+    this.#sellingPlanPrice = this.dataset.sellingPlanPrice || undefined;
     this.#parsePriceBreaks();
     this.#attachEventListeners();
     this.#updatePriceDisplay();
@@ -66,6 +72,7 @@ class PricePerItemComponent extends Component {
     // Listen on document to catch all events (more reliable than form-only)
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantityUpdate, { signal });
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate, { signal });
+    document.addEventListener(ThemeEvents.sellingPlanUpdate, this.#handleSellingPlanUpdate, { signal });
   }
 
   /**
@@ -87,6 +94,20 @@ class PricePerItemComponent extends Component {
     this.#updatePriceDisplay();
   };
 
+  /**
+   * Handles selling plan updates, showing the price of each delivery when a subscription is selected
+   * @param {SellingPlanUpdateEvent} event
+   */
+  #handleSellingPlanUpdate = (event) => {
+    const form = this.closest('product-form-component');
+    if (!(form instanceof HTMLElement) || event.detail.data.productId !== form.dataset.productId) return;
+
+    const { price, perDeliveryPrice } = event.detail.data;
+    this.#sellingPlanPrice = event.detail.resource ? perDeliveryPrice || price : undefined;
+
+    this.#updatePriceDisplay();
+  };
+
   /**
    * Gets the total quantity (cart + current input value)
    * @returns {number}
@@ -108,7 +129,14 @@ class PricePerItemComponent extends Component {
    * Updates the price display based on current quantity
    */
   updatePriceDisplay() {
-    if (!this.#priceBreaks.length || !this.refs.pricePerItemText) return;
+    if (!this.refs.pricePerItemText) return;
+
+    if (this.#sellingPlanPrice) {
+      this.refs.pricePerItemText.innerHTML = `${this.dataset.atText} ${this.#sellingPlanPrice}/${this.dataset.eachText}`;
+      return;
+    }
+
+    if (!this.#priceBreaks.length) return;
 
     const quantity = this.#getCurrentQuantity();
 
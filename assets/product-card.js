@@ -136,7 +136,7 @@ export class ProductCard extends Component {
     this.#updateProductUrl(event);
     this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
 
-    if (event.target !== this.variantPicker) {
+    if (event.target !== this.variantPicker && event.detail.data.html) {
       this.variantPicker?.updateVariantPicker(event.detail.data.html);
     }
 
@@ -179,7 +179,7 @@ export class ProductCard extends Component {
    */
   updatePrice(event) {
     const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
-    const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
+    const newPriceElement = event.detail.data.html?.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
       morph(priceContainer, newPriceElement);
@@ -222,11 +222,11 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #isUnavailableVariantSelected(event) {
-    const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (
-      event.detail.data.html.querySelectorAll('input:checked')
+    const allVariants = /** @type {NodeListOf<HTMLInputElement> | undefined} */ (
+      event.detail.data.html?.querySelectorAll('input:checked')
     );
 
-    for (const variant of allVariants) {
+    for (const variant of allVariants ?? []) {
       this.#toggleAddToCartButton(variant.dataset.optionAvailable === 'true');
     }
   }
@@ -1,7 +1,8 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError } from '@theme/cart-store';
 import { morph } from '@theme/morph';
 
 // Error message display duration - gives users time to read the message
@@ -63,6 +64,14 @@ export class AddToCartComponent extends Component {
     this.refs.addToCartButton.disabled = false;
   }
 
+  /**
+   * Shows or hides the pending state, used while the item waits for the network to be added.
+   * @param {boolean} pending - Whether the add to cart is pending.
+   */
+  setPending(pending) {
+    this.refs.addToCartButton.toggleAttribute('data-pending', pending);
+  }
+
   /**
    * Handles the click event for the add to cart button.
    * @param {MouseEvent & {target: HTMLElement}} event - The click event.
@@ -169,7 +178,8 @@ if (!customElements.get('add-to-cart-component')) {
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
+ * @typedef {import('./cart-store').Cart} Cart
+ * @typedef {import('./selling-plan-picker').SellingPlanPickerComponent} SellingPlanPickerComponent
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
@@ -185,6 +195,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {SellingPlanPickerComponent | undefined} sellingPlanPicker - The selling plan picker component.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -205,6 +216,7 @@ class ProductFormComponent extends Component {
 
     // Listen for cart updates to sync data-cart-quantity
     document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    this.addEventListener(ThemeEvents.cartPending, this.#onCartPending, { signal });
   }
 
   disconnectedCallback() {
@@ -246,8 +258,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.getCart();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -272,6 +283,18 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Shows the pending state when an add to cart from this form is waiting for the network
+   */
+  #onCartPending = () => {
+    for (const container of this.querySelectorAll('add-to-cart-component')) {
+      /** @type {AddToCartComponent} */ (container).setPending(true);
+    }
+
+    const pendingText = this.querySelector('.add-to-cart__pending')?.textContent?.trim();
+    if (pendingText) this.#setLiveRegionText(pendingText);
+  };
+
   /**
    * Handles the submit event for the product form.
    *
@@ -345,107 +368,92 @@ class ProductFormComponent extends Component {
 
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
+    // The purchase option radios only drive the picker, the cart expects the selling plan id
+    formData.delete('purchase_option');
+    const sellingPlanId = this.refs.sellingPlanPicker?.sellingPlanId;
+    if (sellingPlanId) {
+      formData.set('selling_plan', sellingPlanId);
+    } else {
+      formData.delete('selling_plan');
+    }
+
+    /** @type {string[]} */
+    const sections = [];
+    for (const item of document.querySelectorAll('cart-items-component')) {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
+        sections.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    }
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    const eventData = {
+      source: 'product-form-component',
+      itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+      productId: this.dataset.productId,
+    };
+
+    cartStore
+      .add(formData, {
+        target: this,
+        sourceId: formData.get('id')?.toString() ?? this.id,
+        eventData,
+        sections,
+      })
+      .then((result) => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        // Add aria-live region to inform screen readers that the item was added
+        // Get the added text from any add-to-cart button
+        const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
+        if (anyAddToCartButton) {
+          const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+          this.#setLiveRegionText(addedText);
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+        }
 
+        this.#updateCartQuantityFromData(result.cart);
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
           return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
+        }
 
-          // Add aria-live region to inform screen readers that the item was added
-          // Get the added text from any add-to-cart button
-          const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
-          if (anyAddToCartButton) {
-            const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
 
-            this.#setLiveRegionText(addedText);
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = error.message;
+        } else {
+          const newTextNode = document.createTextNode(error.message);
+          addToCartTextError.appendChild(newTextNode);
+        }
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(error.message);
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
-        console.error(error);
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, ERROR_MESSAGE_DISPLAY_DURATION);
       })
       .finally(() => {
+        for (const container of allAddToCartContainers) {
+          container.setPending(false);
+        }
+
         cartPerformance.measureFromEvent('add:user-action', event);
       });
   }
@@ -523,7 +531,8 @@ class ProductFormComponent extends Component {
       currentAddToCartButtonContainer.enable();
     }
 
-    const newAddToCartButton = event.detail.data.html.querySelector('product-form-component [ref="addToCartButton"]');
+    const { html } = event.detail.data;
+    const newAddToCartButton = html?.querySelector('product-form-component [ref="addToCartButton"]');
     if (newAddToCartButton && currentAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
     }
@@ -547,6 +556,9 @@ class ProductFormComponent extends Component {
       }
     }
 
+    // The quantity and pricing rules are rendered by the server, they're updated when the section is refreshed
+    if (!html) return;
+
     // Check if quantity rules, price-per-item, or add-to-cart are appearing/disappearing (causes layout shift)
     const {
       quantityRules,
@@ -559,31 +571,31 @@ class ProductFormComponent extends Component {
 
     // Update quantity selector's min/max/step attributes and cart quantity for the new variant
     const newQuantityInput = /** @type {HTMLInputElement | null} */ (
-      event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+      html.querySelector('quantity-selector-component input[ref="quantityInput"]')
     );
 
     if (quantitySelector?.updateConstraints && newQuantityInput) {
       quantitySelector.updateConstraints(newQuantityInput.min, newQuantityInput.max || null, newQuantityInput.step);
     }
 
-    const newQuantityRules = event.detail.data.html.querySelector('.quantity-rules');
+    const newQuantityRules = html.querySelector('.quantity-rules');
     const isQuantityRulesChanging = !!quantityRules !== !!newQuantityRules;
 
-    const newPricePerItem = event.detail.data.html.querySelector('price-per-item');
+    const newPricePerItem = html.querySelector('price-per-item');
     const isPricePerItemChanging = !!pricePerItem !== !!newPricePerItem;
 
     if ((isQuantityRulesChanging || isPricePerItemChanging) && quantitySelector) {
       // Store quantity value before morphing entire container
       const currentQuantityValue = quantitySelector.getValue?.();
 
-      const newProductFormButtons = event.detail.data.html.querySelector('.product-form-buttons');
+      const newProductFormButtons = html.querySelector('.product-form-buttons');
 
       if (productFormButtons && newProductFormButtons) {
         morph(productFormButtons, newProductFormButtons);
 
         // Get the NEW quantity selector after morphing and update its constraints
         const newQuantityInputElement = /** @type {HTMLInputElement | null} */ (
-          event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+          html.querySelector('quantity-selector-component input[ref="quantityInput"]')
         );
 
         if (this.refs.quantitySelector?.updateConstraints && newQuantityInputElement && currentQuantityValue) {
@@ -607,13 +619,13 @@ class ProductFormComponent extends Component {
       ];
 
       for (const [selector, currentElement, fallback] of morphTargets) {
-        this.#morphOrUpdateElement(currentElement, event.detail.data.html.querySelector(selector), fallback);
+        this.#morphOrUpdateElement(currentElement, html.querySelector(selector), fallback);
       }
     }
 
     // Morph volume pricing if it exists
     const currentVolumePricing = this.refs.volumePricing;
-    const newVolumePricing = event.detail.data.html.querySelector('volume-pricing');
+    const newVolumePricing = html.querySelector('volume-pricing');
     this.#morphOrUpdateElement(currentVolumePricing, newVolumePricing, this.refs.productFormButtons);
 
     const hasB2BFeatures =
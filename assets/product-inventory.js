@@ -26,7 +26,7 @@ class ProductInventory extends Component {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const newInventory = event.detail.data.html?.querySelector('product-inventory');
 
     if (!newInventory) return;
 
@@ -1,5 +1,6 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
 import { Component } from '@theme/component';
+import { formatMoney } from '@theme/money-formatting';
 
 /**
  * @typedef {Object} ProductPriceRefs
@@ -10,18 +11,26 @@ import { Component } from '@theme/component';
 /**
  * A custom element that displays a product price.
  * This component listens for variant update events and updates the price display accordingly.
- * It handles price updates from two different sources:
+ * It handles price updates from three different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * 3. Selling plan picker (subscription prices)
  *
  * @extends {Component<ProductPriceRefs>}
  */
 class ProductPrice extends Component {
+  /**
+   * Whether the price of the variant resolved in the browser is waiting for the markup of the section.
+   * @type {boolean}
+   */
+  #awaitsRefresh = false;
+
   connectedCallback() {
     super.connectedCallback();
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   disconnectedCallback() {
@@ -29,6 +38,7 @@ class ProductPrice extends Component {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   /**
@@ -42,11 +52,20 @@ class ProductPrice extends Component {
       return;
     }
 
+    const { html, refresh } = event.detail.data;
+
+    if (!html) {
+      this.#awaitsRefresh = !this.#renderVariantPrice(event.detail.resource);
+      return;
+    }
+
+    // The price was already rendered when the variant was resolved
+    if (refresh && !this.#awaitsRefresh) return;
+    this.#awaitsRefresh = false;
+
     const { priceContainer, volumePricingNote } = this.refs;
     // Find the new product-price element in the updated HTML
-    const newProductPrice = event.detail.data.html.querySelector(
-      `product-price[data-block-id="${this.dataset.blockId}"]`
-    );
+    const newProductPrice = html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
     if (!newProductPrice) return;
 
     // Update price container
@@ -67,6 +86,59 @@ class ProductPrice extends Component {
       volumePricingNote.replaceWith(newNote);
     }
   };
+
+  /**
+   * Renders the price and compare at price of a variant resolved in the browser.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant.
+   * @returns {boolean} Whether the price is complete, volume and unit prices are only rendered by the server.
+   */
+  #renderVariantPrice(variant) {
+    const { priceContainer, volumePricingNote } = this.refs;
+    const { moneyFormat, currency = Shopify.currency.active } = this.dataset;
+    const priceElement = priceContainer?.querySelector('.price');
+    if (!variant || variant.price == null || !moneyFormat || !priceElement) return false;
+
+    priceElement.textContent = formatMoney(variant.price, moneyFormat, currency);
+
+    const compareAtPrice = variant.compare_at_price ?? 0;
+    const onSale = compareAtPrice > variant.price;
+    const compareAtPriceElement = priceContainer.querySelector('.compare-at-price');
+    const compareAtPriceGroup = compareAtPriceElement?.closest('[role="group"]');
+
+    if (compareAtPriceElement && compareAtPriceGroup) {
+      if (onSale) compareAtPriceElement.textContent = formatMoney(compareAtPrice, moneyFormat, currency);
+      compareAtPriceGroup.toggleAttribute('hidden', !onSale);
+    }
+
+    // The sale price is labelled differently, and the compare at price isn't rendered when no variant was on sale
+    const isLabelledAsSale = priceElement.parentElement?.getAttribute('role') === 'group';
+    const hasServerOnlyPrices = !!volumePricingNote || !!priceContainer.querySelector('.unit-price');
+
+    return isLabelledAsSale === onSale && (!onSale || !!compareAtPriceGroup) && !hasServerOnlyPrices;
+  }
+
+  /**
+   * Updates the price and compare at price for the selected purchase option.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlanPrice = (event) => {
+    const { productId, price, compareAtPrice } = event.detail.data;
+    if (productId !== this.dataset.productId || !price) return;
+
+    const { priceContainer } = this.refs;
+    const priceElement = priceContainer?.querySelector('.price');
+    if (!priceElement) return;
+
+    priceElement.textContent = price;
+
+    // The compare at price is rendered hidden for products with selling plans so savings can be shown
+    const compareAtPriceElement = priceContainer.querySelector('.compare-at-price');
+    const compareAtPriceGroup = compareAtPriceElement?.closest('[role="group"]');
+    if (!compareAtPriceElement || !compareAtPriceGroup) return;
+
+    if (compareAtPrice) compareAtPriceElement.textContent = compareAtPrice;
+    compareAtPriceGroup.toggleAttribute('hidden', !compareAtPrice);
+  };
 }
 
 if (!customElements.get('product-price')) {
@@ -1,5 +1,20 @@
 import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError } from '@theme/cart-store';
+import { formatMoney } from '@theme/money-formatting';
 
+/**
+ * A custom element that loads the recommendations of a product. Complementary products can be rendered as a checklist
+ * along with the product, and the checked products are added to the cart together.
+ *
+ * @typedef {object} ProductRecommendationsRefs
+ * @property {HTMLElement[]} [complementaryItems] - The products of the checklist, the first one is the product itself.
+ * @property {HTMLElement} [complementaryTotal] - The combined price of the checked products.
+ * @property {HTMLElement} [complementaryError] - The message of the cart errors.
+ * @property {HTMLButtonElement} [addSelectedButton] - The button that adds the checked products to the cart.
+ *
+ * @extends {Component<ProductRecommendationsRefs>}
+ */
 class ProductRecommendations extends Component {
   /**
    * The observer for the product recommendations
@@ -55,16 +70,28 @@ class ProductRecommendations extends Component {
    */
   #activeFetch = null;
 
+  #abortController = new AbortController();
+
   connectedCallback() {
     super.connectedCallback();
     this.#intersectionObserver.observe(this);
     this.#mutationObserver.observe(this, { attributes: true });
+
+    if (this.dataset.addSelected != null) {
+      // The product of the checklist follows the variant picked for it, in the section or in the quick add dialog
+      const target = this.closest('.shopify-section, dialog');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, {
+        signal: this.#abortController.signal,
+      });
+    }
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#intersectionObserver.disconnect();
     this.#mutationObserver.disconnect();
+    this.#abortController.abort();
+    this.#abortController = new AbortController();
   }
 
   /**
@@ -102,6 +129,7 @@ class ProductRecommendations extends Component {
         if (recommendations?.innerHTML && recommendations.innerHTML.trim().length) {
           this.dataset.recommendationsPerformed = 'true';
           this.innerHTML = recommendations.innerHTML;
+          this.#syncMainVariant();
         } else {
           this.#handleError(new Error('No recommendations available'));
         }
@@ -143,6 +171,158 @@ class ProductRecommendations extends Component {
     }
   }
 
+  /**
+   * Renders the combined price when a product of the checklist is checked or unchecked.
+   */
+  handleComplementaryChange() {
+    this.#renderComplementaryTotal();
+  }
+
+  /**
+   * Adds the checked products of the checklist to the cart.
+   */
+  addSelected() {
+    const { addSelectedButton, complementaryError } = this.refs;
+    const items = this.#checkedItems;
+
+    if (!addSelectedButton || items.length === 0) return;
+
+    const formData = new FormData();
+
+    items.forEach((item, index) => {
+      formData.append(`items[${index}][id]`, item.dataset.variantId ?? '');
+      formData.append(`items[${index}][quantity]`, '1');
+    });
+
+    /** @type {string[]} */
+    const sections = [];
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sections.push(item.dataset.sectionId);
+      }
+    }
+
+    addSelectedButton.disabled = true;
+    if (complementaryError) complementaryError.hidden = true;
+
+    cartStore
+      .add(formData, {
+        target: this,
+        sourceId: this.id,
+        eventData: {
+          source: 'product-recommendations',
+          itemCount: items.length,
+          productId: this.dataset.productId,
+        },
+        sections,
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
+
+        if (complementaryError) {
+          complementaryError.textContent = error.message;
+          complementaryError.hidden = false;
+        }
+      })
+      .finally(() => {
+        this.#renderComplementaryTotal();
+      });
+  }
+
+  /**
+   * The products of the checklist that are checked.
+   * @returns {HTMLElement[]}
+   */
+  get #checkedItems() {
+    return (this.refs.complementaryItems ?? []).filter((item) => {
+      const input = item.querySelector('input[type="checkbox"]');
+      return input instanceof HTMLInputElement && input.checked && !input.disabled;
+    });
+  }
+
+  /**
+   * Updates the product of the checklist to the variant picked for it.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    const { productId, newProduct } = event.detail.data;
+
+    // A new product renders new recommendations
+    if (newProduct || productId !== this.dataset.productId) return;
+
+    this.#setMainVariant(event.detail.resource);
+  };
+
+  /**
+   * Updates the product of the checklist to the variant already picked, since the recommendations are rendered with
+   * the first available variant.
+   */
+  #syncMainVariant() {
+    if (this.dataset.addSelected == null) return;
+
+    const selector = `variant-picker[data-product-id="${this.dataset.productId}"] script[type="application/json"]:not([data-variant-matrix])`;
+    const textContent = this.closest('.shopify-section, dialog')?.querySelector(selector)?.textContent;
+
+    if (textContent) {
+      this.#setMainVariant(JSON.parse(textContent));
+    } else {
+      this.#renderComplementaryTotal();
+    }
+  }
+
+  /**
+   * @param {{ id: number | string, price?: number, available?: boolean } | null | undefined} variant - The variant.
+   */
+  #setMainVariant(variant) {
+    const item = this.refs.complementaryItems?.find((item) => item.dataset.mainProduct != null);
+    const input = item?.querySelector('input[type="checkbox"]');
+
+    if (!item || !(input instanceof HTMLInputElement)) return;
+
+    const available = Boolean(variant?.available);
+
+    item.dataset.variantId = String(variant?.id ?? '');
+    item.dataset.price = String(variant?.price ?? 0);
+
+    // The product is checked again once it's available, like when the checklist is rendered
+    if (input.disabled && available) input.checked = true;
+    if (!available) input.checked = false;
+
+    input.value = item.dataset.variantId;
+    input.disabled = !available;
+    input.closest('.checkbox')?.classList.toggle('checkbox--disabled', !available);
+
+    const price = item.querySelector('.complementary-products__price');
+    if (price) price.textContent = this.#formatMoney(variant?.price ?? 0);
+
+    this.#renderComplementaryTotal();
+  }
+
+  /**
+   * Renders the combined price of the checked products.
+   */
+  #renderComplementaryTotal() {
+    const { complementaryTotal, addSelectedButton } = this.refs;
+    const items = this.#checkedItems;
+    const total = items.reduce((sum, item) => sum + (Number(item.dataset.price) || 0), 0);
+
+    if (complementaryTotal) complementaryTotal.textContent = this.#formatMoney(total);
+    if (addSelectedButton) addSelectedButton.disabled = items.length === 0;
+  }
+
+  /**
+   * @param {number} price - The price, in minor units.
+   * @returns {string} The formatted price.
+   */
+  #formatMoney(price) {
+    const { moneyFormat = '{{amount}}', currency = Shopify.currency.active } = this.dataset;
+
+    return formatMoney(price, moneyFormat, currency);
+  }
+
   /**
    * Handle errors in a consistent way
    * @param {Error} error
@@ -4,6 +4,7 @@ import { CartUpdateEvent, ThemeEvents, VariantSelectedEvent } from '@theme/event
 import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
 import { mediaQueryLarge, isMobileBreakpoint, getIOSVersion } from '@theme/utilities';
 import VariantPicker from '@theme/variant-picker';
+import { interactionPerformance } from '@theme/performance';
 
 export class QuickAddComponent extends Component {
   /** @type {AbortController | null} */
@@ -89,10 +90,12 @@ export class QuickAddComponent extends Component {
   handleClick = async (event) => {
     event.preventDefault();
 
+    const quickAddMarker = interactionPerformance.createStartingMarker('quick-add');
     const currentUrl = this.productPageUrl;
 
     // Check if we have cached content for this URL
     let productGrid = this.#cachedContent.get(currentUrl);
+    const cached = Boolean(productGrid);
 
     if (!productGrid) {
       // Fetch and cache the content
@@ -115,6 +118,7 @@ export class QuickAddComponent extends Component {
     }
 
     this.#openQuickAddModal();
+    interactionPerformance.measureFromMarker(quickAddMarker, { cached });
   };
 
   #resetScroll() {
@@ -208,6 +212,8 @@ export class QuickAddComponent extends Component {
       const productFormComponent = productGrid.querySelector('product-form-component');
       const variantPicker = productGrid.querySelector('variant-picker');
       const productPrice = productGrid.querySelector('product-price');
+      // Complementary products that are added along with the product are kept with the product form
+      const complementaryProducts = productGrid.querySelector('product-recommendations[data-add-selected]');
       const productTitle = document.createElement('a');
       productTitle.textContent = this.dataset.productTitle || '';
 
@@ -229,6 +235,9 @@ export class QuickAddComponent extends Component {
       if (productFormComponent) {
         productGrid.appendChild(productFormComponent);
       }
+      if (complementaryProducts) {
+        productGrid.appendChild(complementaryProducts);
+      }
 
       productDetails?.remove();
     }
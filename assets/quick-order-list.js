@@ -1,7 +1,10 @@
 import { Component } from '@theme/component';
-import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cartStore, CartError } from '@theme/cart-store';
+import { formatMoney } from '@theme/money-formatting';
+import { cartSync } from '@theme/cart-sync';
 
 /**
  * A custom element that manages the quick order list section.
@@ -14,6 +17,8 @@ import { morphSection, sectionRenderer } from '@theme/section-renderer';
  * @property {HTMLElement} errorText - The error message text element
  * @property {HTMLElement} successContainer - The success message container
  * @property {HTMLElement} successText - The success message text element
+ * @property {HTMLElement} [totalPrice] - The subtotal of the product's variants in the cart
+ * @property {HTMLElement} [totalItems] - The number of the product's items in the cart
  * @property {HTMLElement} [paginationNav] - The pagination navigation element
  *
  * @extends Component<QuickOrderListComponentRefs>
@@ -38,6 +43,9 @@ class QuickOrderListComponent extends Component {
   /** @type {(event: Event) => void} */
   #boundHandleCartUpdate;
 
+  /** @type {(() => void) | undefined} */
+  #unregisterSection;
+
   /**
    * Gets the current page number from pagination controls
    * @returns {number}
@@ -66,11 +74,24 @@ class QuickOrderListComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
 
-    this.#debouncedHandleQuantityUpdate = debounce(this.#handleQuantityUpdate.bind(this), 300);
+    // Optimistic updates are handled right away since the cart store coalesces rapid changes to the same variant
+    this.#debouncedHandleQuantityUpdate = this.#isOptimistic
+      ? this.#handleQuantityUpdate.bind(this)
+      : debounce(this.#handleQuantityUpdate.bind(this), 300);
     this.#boundHandleCartUpdate = this.#handleCartUpdate.bind(this);
 
+    // Optimistic updates are computed from the cart store, so make sure it knows the cart
+    if (this.#isOptimistic) {
+      cartStore.getCart().catch((error) => console.error(error));
+    }
+
     this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedHandleQuantityUpdate);
     document.addEventListener(ThemeEvents.cartUpdate, this.#boundHandleCartUpdate);
+
+    // Keep the quantities up to date when the cart changes in another tab
+    if (this.dataset.sectionId) {
+      this.#unregisterSection = cartSync.registerSection(this.dataset.sectionId, () => this.#currentPageUrl);
+    }
     this.addEventListener('keydown', this.#handleKeyDown, true);
     this.addEventListener('keyup', this.#handleKeyup, true);
   }
@@ -84,6 +105,7 @@ class QuickOrderListComponent extends Component {
     this.removeEventListener('keyup', this.#handleKeyup, true);
 
     this.#abortController?.abort();
+    this.#unregisterSection?.();
   }
 
   /**
@@ -206,62 +228,35 @@ class QuickOrderListComponent extends Component {
     this.#clearErrorMessage();
     this.#applyShimmerEffects(idsToRemove);
 
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
-
-    try {
-      /** @type {Record<string, number>} */
-      const updates = {};
+    /** @type {Record<string, number>} */
+    const updates = {};
 
-      if (idsToRemove.length > 0) {
-        for (const variantId of idsToRemove) {
-          updates[String(variantId)] = 0;
-        }
-      }
-
-      if (Object.keys(updates).length === 0) {
-        resetShimmer(this);
-        return;
-      }
-
-      const sectionIds = this.#getSectionIds();
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
+    for (const variantId of idsToRemove) {
+      updates[String(variantId)] = 0;
+    }
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
+    if (Object.keys(updates).length === 0) {
+      resetShimmer(this);
+      return;
+    }
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
+    try {
+      const { sections } = await cartStore.update(updates, {
+        sourceId: this.id,
+        eventData: { source: 'quick-order-remove-all' },
+        sections: this.#getSectionIds(),
+        sectionsUrl: this.#sectionsUrl,
       });
 
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
-
       resetShimmer(this);
-
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-      } else {
-        this.#updateSectionHTML(data);
-        this.#toggleConfirmationPanel(false);
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-remove-all',
-            sections: data.sections,
-          })
-        );
-      }
+      this.#updateSectionHTML({ sections });
+      this.#toggleConfirmationPanel(false);
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        resetShimmer(this);
-        throw error;
-      }
+      resetShimmer(this);
+
+      if (!(error instanceof CartError)) throw error;
+
+      this.#showErrorMessage(error.message);
     }
   }
 
@@ -298,66 +293,102 @@ class QuickOrderListComponent extends Component {
       return;
     }
 
-    this.#applyShimmerEffects([variantId]);
+    const optimistic = this.#isOptimistic;
 
-    this.#disableQuickOrderListItems();
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
+    if (optimistic) {
+      this.#renderOptimisticTotals(variantRow, quantity, currentCartQuantity);
+    } else {
+      this.#applyShimmerEffects([variantId]);
+      this.#disableQuickOrderListItems();
+    }
 
     try {
-      /** @type {Record<string, number>} */
-      const updates = {};
-      updates[variantId] = quantity;
-
-      // Include page parameter in sections URL to maintain pagination state
-      const sectionsUrl = new URL(window.location.pathname, window.location.origin);
-      sectionsUrl.searchParams.set('page', this.currentPage.toString());
-
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const { cart, sections } = await cartStore.update(
+        { [variantId]: quantity },
+        {
+          sourceId: this.id,
+          eventData: { source: 'quick-order-quantity', variantId },
+          sections: this.#getSectionIds(),
+          sectionsUrl: this.#sectionsUrl,
+          optimistic,
+        }
+      );
 
       resetShimmer(this);
+      this.#updateSectionHTML({ sections });
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-        if (this.dataset.sectionId) {
-          const url = new URL(window.location.href);
-          url.searchParams.set('page', this.currentPage.toString());
-          await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
-        }
-      } else {
-        this.#updateSectionHTML(data);
+      const updatedQuantity = cart.items
+        .filter((item) => String(item.variant_id) === variantId)
+        .reduce((total, item) => total + item.quantity, 0);
 
-        const quantityAdded = quantity - currentCartQuantity;
-        if (quantityAdded > 0) {
-          this.#showSuccessMessage(quantityAdded);
-        }
+      // The server can apply a lower quantity than requested, e.g. when there isn't enough stock
+      if (optimistic && updatedQuantity < quantity) {
+        const message = Theme.translations.cart_quantity_adjusted ?? '';
+        this.#showErrorMessage(message.replace('{{ quantity }}', updatedQuantity.toString()));
+      }
 
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-quantity',
-            variantId: variantId,
-            sections: data.sections,
-          })
-        );
+      const quantityAdded = updatedQuantity - currentCartQuantity;
+      if (quantityAdded > 0) {
+        this.#showSuccessMessage(quantityAdded);
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        this.#enableQuickOrderListItems();
-        resetShimmer(this);
+      this.#enableQuickOrderListItems();
+      resetShimmer(this);
+
+      if (!(error instanceof CartError)) {
+        // Roll the optimistic totals back
+        if (optimistic) await this.#renderCurrentPage();
         throw error;
       }
+
+      this.#showErrorMessage(error.message);
+      await this.#renderCurrentPage();
+    }
+  }
+
+  /**
+   * Renders the section for the current page, resetting the quantities and totals to the server state
+   */
+  async #renderCurrentPage() {
+    if (!this.dataset.sectionId) return;
+
+    await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url: this.#currentPageUrl });
+  }
+
+  /**
+   * Renders the variant total, the subtotal and the item count before the server responds
+   * @param {HTMLElement} variantRow - The row of the updated variant
+   * @param {number} quantity - The new quantity of the variant
+   * @param {number} currentCartQuantity - The quantity of the variant the section was rendered with
+   */
+  #renderOptimisticTotals(variantRow, quantity, currentCartQuantity) {
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+    const { totalPrice, totalItems } = this.refs;
+    const currency = cartStore.cart?.currency ?? Shopify.currency.active;
+    const price = Number(variantRow.dataset.price) || 0;
+    const quantityDifference = quantity - currentCartQuantity;
+
+    /**
+     * @param {Element | null | undefined} element
+     * @param {number} value - The price, in minor units
+     */
+    const renderPrice = (element, value) => {
+      if (!element) return;
+
+      const formattedPrice = formatMoney(value, moneyFormat, currency);
+      element.textContent = formattedPrice;
+      element.setAttribute('value', formattedPrice);
+    };
+
+    renderPrice(variantRow.querySelector('.variant-item__total-price'), price * quantity);
+
+    // The totals are computed from the server-rendered values, so repeated updates don't add up
+    if (totalPrice) {
+      renderPrice(totalPrice, (Number(totalPrice.dataset.totalPrice) || 0) + price * quantityDifference);
+    }
+
+    if (totalItems) {
+      totalItems.textContent = ((Number(totalItems.dataset.totalItems) || 0) + quantityDifference).toString();
     }
   }
 
@@ -383,15 +414,7 @@ class QuickOrderListComponent extends Component {
       }
     }
 
-    if (this.dataset.sectionId) {
-      const url = new URL(window.location.href);
-      url.searchParams.set('page', this.currentPage.toString());
-
-      await sectionRenderer.renderSection(this.dataset.sectionId, {
-        cache: false,
-        url,
-      });
-    }
+    await this.#renderCurrentPage();
   }
 
   #disableQuickOrderListItems() {
@@ -507,6 +530,35 @@ class QuickOrderListComponent extends Component {
     }
   }
 
+  /**
+   * The URL of the current page of variants
+   * @returns {URL}
+   */
+  get #currentPageUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('page', this.currentPage.toString());
+
+    return url;
+  }
+
+  /**
+   * The URL the sections are rendered for, including the page parameter to maintain pagination state
+   * @returns {string}
+   */
+  get #sectionsUrl() {
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    sectionsUrl.searchParams.set('page', this.currentPage.toString());
+
+    return sectionsUrl.pathname + sectionsUrl.search;
+  }
+
+  /**
+   * @returns {boolean} Whether quantity changes are rendered before the server responds
+   */
+  get #isOptimistic() {
+    return this.dataset.optimistic !== undefined;
+  }
+
   /**
    * Gets the section IDs for updating
    * @returns {string[]} Array of section IDs
@@ -0,0 +1,57 @@
+/**
+ * Updates the recent searches in localStorage, like the recently viewed products.
+ */
+export class RecentSearches {
+  /** @static @constant {string} The key used to store the searches in local storage */
+  static #STORAGE_KEY = 'recentSearches';
+  /** @static @constant {number} The maximum number of searches to store */
+  static #MAX_SEARCHES = 5;
+
+  /**
+   * Adds a search to the top of the recent searches list.
+   * @param {string} query - The search query.
+   */
+  static addSearch(query) {
+    const search = query.trim().replace(/\s+/g, ' ');
+    if (!search) return;
+
+    let searches = this.getSearches();
+
+    searches = searches.filter((recentSearch) => recentSearch.toLowerCase() !== search.toLowerCase());
+    searches.unshift(search);
+    searches = searches.slice(0, this.#MAX_SEARCHES);
+
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(searches));
+  }
+
+  /**
+   * Removes a search from the recent searches list.
+   * @param {string} query - The search query.
+   */
+  static removeSearch(query) {
+    const searches = this.getSearches().filter((recentSearch) => recentSearch !== query);
+
+    if (searches.length === 0) {
+      this.clearSearches();
+    } else {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(searches));
+    }
+  }
+
+  static clearSearches() {
+    localStorage.removeItem(this.#STORAGE_KEY);
+  }
+
+  /**
+   * Retrieves the recent searches from local storage, most recent first.
+   * @returns {string[]} The list of searches.
+   */
+  static getSearches() {
+    try {
+      const searches = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(searches) ? searches.filter((search) => typeof search === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+}
@@ -1,35 +1,133 @@
+import { RecentlyViewedUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} RecentlyViewedEntry
+ * @property {string} productId - The ID of the product
+ * @property {string | null} variantId - The ID of the variant the product was last viewed with
+ * @property {number} viewedAt - When the product was last viewed, in milliseconds since the epoch
+ * @property {number} viewCount - The number of times the product was viewed
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
+  /** @static @constant {string} The key used to store the viewed products in local storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {number} The default maximum number of products to store */
+  static #DEFAULT_MAX_PRODUCTS = 12;
+  /** @static @constant {number} The default number of days a viewed product is kept */
+  static #DEFAULT_EXPIRY_DAYS = 30;
+
+  /** @type {number} The maximum number of products to store */
+  static #maxProducts = this.#DEFAULT_MAX_PRODUCTS;
+  /** @type {number} The number of days a viewed product is kept */
+  static #expiryDays = this.#DEFAULT_EXPIRY_DAYS;
 
   /**
-   * Adds a product to the recently viewed products list.
+   * Configures how many products are stored and for how long. Stored products over the new limits are dropped the
+   * next time the list is read.
+   * @param {Object} options
+   * @param {number} [options.maxProducts] - The maximum number of products to store
+   * @param {number} [options.expiryDays] - The number of days a viewed product is kept
+   */
+  static configure({ maxProducts, expiryDays }) {
+    if (maxProducts !== undefined && maxProducts > 0) this.#maxProducts = Math.floor(maxProducts);
+    if (expiryDays !== undefined && expiryDays > 0) this.#expiryDays = expiryDays;
+  }
+
+  /**
+   * Adds a product to the top of the recently viewed products list.
    * @param {string} productId - The ID of the product to add.
+   * @param {string | null} [variantId] - The ID of the variant the product is viewed with.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(productId, variantId = null) {
+    const entries = this.getEntries();
+    const entry = entries.find((viewedProduct) => viewedProduct.productId === productId);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    this.#save([
+      {
+        productId,
+        variantId: variantId || entry?.variantId || null,
+        viewedAt: Date.now(),
+        viewCount: (entry?.viewCount ?? 0) + 1,
+      },
+      ...entries.filter((viewedProduct) => viewedProduct !== entry),
+    ]);
+  }
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+  /**
+   * Updates the variant a recently viewed product was last viewed with, without counting a new view.
+   * @param {string} productId - The ID of the product.
+   * @param {string} variantId - The ID of the variant.
+   */
+  static updateVariant(productId, variantId) {
+    const entries = this.getEntries();
+    const entry = entries.find((viewedProduct) => viewedProduct.productId === productId);
+    if (!entry || entry.variantId === variantId) return;
+
+    entry.variantId = variantId;
+    this.#save(entries);
   }
 
   static clearProducts() {
     localStorage.removeItem(this.#STORAGE_KEY);
+    document.dispatchEvent(new RecentlyViewedUpdateEvent([]));
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
+   * Retrieves the IDs of the recently viewed products, most recent first.
+   * @param {number} [limit] - The maximum number of IDs to return.
    * @returns {string[]} The list of viewed products.
    */
-  static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  static getProducts(limit) {
+    return this.getEntries()
+      .slice(0, limit)
+      .map((entry) => entry.productId);
+  }
+
+  /**
+   * Retrieves the recently viewed products from local storage, most recent first. Expired products are left out.
+   * @returns {RecentlyViewedEntry[]} The list of viewed products.
+   */
+  static getEntries() {
+    /** @type {unknown} */
+    let stored;
+
+    try {
+      stored = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    } catch {
+      return [];
+    }
+
+    if (!Array.isArray(stored)) return [];
+
+    const expiresBefore = Date.now() - this.#expiryDays * 24 * 60 * 60 * 1000;
+
+    return stored
+      .map((entry) => {
+        // Products used to be stored as bare IDs
+        if (typeof entry === 'string') {
+          return { productId: entry, variantId: null, viewedAt: Date.now(), viewCount: 1 };
+        }
+
+        return entry;
+      })
+      .filter(
+        /** @returns {entry is RecentlyViewedEntry} */
+        (entry) => typeof entry?.productId === 'string' && entry.viewedAt > expiresBefore
+      )
+      .slice(0, this.#maxProducts);
+  }
+
+  /**
+   * Stores the recently viewed products and notifies the page.
+   * @param {RecentlyViewedEntry[]} entries - The list of viewed products, most recent first.
+   */
+  static #save(entries) {
+    const viewedProducts = entries.slice(0, this.#maxProducts);
+
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    document.dispatchEvent(new RecentlyViewedUpdateEvent(viewedProducts));
   }
 }
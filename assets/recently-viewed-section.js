@@ -0,0 +1,132 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * A custom element that renders the products the customer recently viewed. The products are rendered by the
+ * section itself from a search for their IDs, like the recently viewed products of the predictive search.
+ */
+class RecentlyViewedSection extends Component {
+  /**
+   * The observer that loads the products when the section gets close to the viewport
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#visible = true;
+      this.#loadProducts();
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  /**
+   * Whether the section got close to the viewport, products are only loaded after that
+   */
+  #visible = false;
+
+  /**
+   * The search query of the rendered products
+   * @type {string | null}
+   */
+  #renderedQuery = null;
+
+  #controller = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#intersectionObserver.observe(this);
+    document.addEventListener(ThemeEvents.recentlyViewedUpdate, this.#handleUpdate, {
+      signal: this.#controller.signal,
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#controller.abort();
+  }
+
+  #handleUpdate = () => {
+    if (this.#visible) this.#loadProducts();
+  };
+
+  /**
+   * Renders the recently viewed products, leaving out the product of the page
+   */
+  async #loadProducts() {
+    const { sectionId, productId, maxProducts } = this.dataset;
+    const id = this.id;
+
+    if (!sectionId || !id) {
+      throw new Error('Section ID and an ID attribute are required');
+    }
+
+    const entries = RecentlyViewed.getEntries()
+      .filter((entry) => entry.productId !== productId)
+      .slice(0, Number(maxProducts) || undefined);
+
+    if (entries.length === 0) {
+      this.#renderedQuery = null;
+      // Keep the placeholders in the editor so the section can be customized without a browsing history
+      if (!Shopify.designMode) this.classList.add('hidden');
+      return;
+    }
+
+    const query = entries.map((entry) => `id:${entry.productId}`).join(' OR ');
+
+    // Only the variants changed, the links are updated without rendering the products again
+    if (query === this.#renderedQuery) {
+      this.#linkViewedVariants(entries);
+      return;
+    }
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', query);
+    url.searchParams.set('resources[type]', 'product');
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+      const section = new DOMParser().parseFromString(html, 'text/html').querySelector(`[id="${id}"]`);
+
+      if (!section?.querySelector('[data-product-id]')) {
+        throw new Error('No recently viewed products available');
+      }
+
+      this.innerHTML = section.innerHTML;
+      this.#renderedQuery = query;
+      this.#linkViewedVariants(entries);
+      this.classList.remove('hidden');
+    } catch (error) {
+      console.error('Recently viewed products error:', error instanceof Error ? error.message : error);
+      this.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Links the product cards to the variant each product was last viewed with
+   * @param {import('@theme/recently-viewed-products').RecentlyViewedEntry[]} entries - The rendered products
+   */
+  #linkViewedVariants(entries) {
+    for (const { productId, variantId } of entries) {
+      if (!variantId) continue;
+
+      for (const link of this.querySelectorAll(`product-card[data-product-id="${productId}"] a[href]`)) {
+        if (!(link instanceof HTMLAnchorElement) || !link.pathname.includes('/products/')) continue;
+
+        const url = new URL(link.href);
+        url.searchParams.set('variant', variantId);
+        link.href = url.toString();
+      }
+    }
+  }
+}
+
+if (!customElements.get('recently-viewed-section')) {
+  customElements.define('recently-viewed-section', RecentlyViewedSection);
+}
@@ -1,19 +1,34 @@
 import { mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
 import PaginatedList from '@theme/paginated-list';
+import { sectionRenderer } from '@theme/section-renderer';
+import { getClientFacets } from '@theme/client-facets';
+import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
 
 /**
  * A custom element that renders a pagniated results list
  */
 export default class ResultsList extends PaginatedList {
+  /**
+   * The filters and sort order of the rendered results
+   * @type {string}
+   */
+  #renderedQuery = getResultsQuery(window.location.search);
+
   connectedCallback() {
     super.connectedCallback();
 
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
+    window.addEventListener('popstate', this.#handlePopState);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
     this.setAttribute('initialized', '');
+
+    this.#saveLayout();
   }
 
   disconnectedCallback() {
     mediaQueryLarge.removeEventListener('change', this.#handleMediaQueryChange);
+    window.removeEventListener('popstate', this.#handlePopState);
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
   }
 
   /**
@@ -42,9 +57,81 @@ export default class ResultsList extends PaginatedList {
     requestIdleCallback(() => {
       const viewport = mediaQueryLarge.matches ? 'desktop' : 'mobile';
       sessionStorage.setItem(`product-grid-view-${viewport}`, value);
+      this.#saveLayout();
     });
   };
 
+  /**
+   * Keeps the grid layout in the current history entry, to restore it when navigating back to the entry
+   */
+  #saveLayout() {
+    const layout = this.refs.grid?.getAttribute('product-grid-view');
+    if (layout) history.replaceState({ ...history.state, gridView: layout }, '');
+  }
+
+  /**
+   * Restores the layout of the grid, and checks its option
+   * @param {string} value - The layout
+   */
+  #restoreLayout(value) {
+    this.#setLayout(value);
+
+    const options = this.querySelectorAll('input[type="radio"][name="grid"], input[type="radio"][name="grid-mobile"]');
+
+    for (const option of options) {
+      if (option instanceof HTMLInputElement) option.checked = option.value === value;
+    }
+  }
+
+  /**
+   * Keeps track of the filters rendered by the facets, and the layout of their history entry
+   * @param {FilterUpdateEvent} event
+   */
+  #handleFilterUpdate = (event) => {
+    if (!this.contains(/** @type {Node} */ (event.target))) return;
+
+    this.#renderedQuery = getResultsQuery(window.location.search);
+    this.#saveLayout();
+  };
+
+  /**
+   * Renders the results of the history entry navigated to, when its filters or sort order differ from the
+   * rendered ones. Entries of the pages loaded by scrolling only differ by page and are left to the browser.
+   * @param {PopStateEvent} event
+   */
+  #handlePopState = async (event) => {
+    /** @type {{ gridView?: string, scrollY?: number } | null} */
+    const state = event.state && typeof event.state === 'object' ? event.state : null;
+    const query = getResultsQuery(window.location.search);
+
+    if (state?.gridView) this.#restoreLayout(state.gridView);
+    if (query === this.#renderedQuery) return;
+
+    this.#renderedQuery = query;
+
+    const parameters = new URLSearchParams(window.location.search);
+    const facetsForm = this.querySelector('facets-form-component');
+    facetsForm?.dispatchEvent(new FilterUpdateEvent(parameters));
+
+    const render = (async () => {
+      const rendered = await getClientFacets(this.sectionId)?.render(parameters);
+
+      if (!rendered) {
+        await sectionRenderer.renderSection(this.sectionId, { target: facetsForm ?? undefined }).catch(() => {
+          // The render error event shows the retry state of the facets form, which renders the URL again
+        });
+      }
+    })();
+
+    // The transition doesn't wait for the render without the view transitions API, so the render is awaited on its own
+    startViewTransition(() => render, ['product-grid']);
+    await render;
+
+    // The server renders the default layout option as checked
+    if (state?.gridView) this.#restoreLayout(state.gridView);
+    if (typeof state?.scrollY === 'number') window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+  };
+
   /**
    * Animates the layout change.
    *
@@ -73,6 +160,19 @@ export default class ResultsList extends PaginatedList {
   };
 }
 
+/**
+ * Gets the filters and sort order of a URL query, without the page
+ * @param {string} search - The URL query
+ * @returns {string}
+ */
+function getResultsQuery(search) {
+  const parameters = new URLSearchParams(search);
+  parameters.delete('page');
+  parameters.sort();
+
+  return parameters.toString();
+}
+
 if (!customElements.get('results-list')) {
   customElements.define('results-list', ResultsList);
 }
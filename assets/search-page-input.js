@@ -1,11 +1,15 @@
 import { Component } from '@theme/component';
+import { FilterUpdateEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
 import { debounce } from '@theme/utilities';
 
 /**
- * A custom element that allows the user to clean a search input.
+ * A custom element that allows the user to clean a search input, and renders the results of the search page as
+ * the search terms are typed.
  *
  * @typedef {object} Refs
  * @property {HTMLInputElement} searchPageInput - The search input element.
+ * @property {HTMLElement} [liveRegion] - Announces the number of results of the search terms typed.
  * @extends {Component<Refs>}
  */
 class SearchPageInputComponent extends Component {
@@ -25,6 +29,56 @@ class SearchPageInputComponent extends Component {
     }
   }, 100);
 
+  /**
+   * Renders the results of the search terms once the customer stops typing, without reloading the page.
+   */
+  search = debounce(() => {
+    const resultsList = document.querySelector('results-list');
+    const sectionId = resultsList?.getAttribute('section-id');
+    if (!resultsList || !sectionId) return;
+
+    const query = this.refs.searchPageInput.value.trim();
+    const url = new URL(window.location.href);
+    if (query === (url.searchParams.get('q') ?? '').trim()) return;
+
+    // The URL holds the filters and sort order of the facets form, which reads the search terms from the URL too
+    url.searchParams.set('q', query);
+    url.searchParams.delete('page');
+    history.replaceState(history.state, '', url.toString());
+
+    const facetsForm = resultsList.querySelector('facets-form-component');
+    resultsList.dispatchEvent(new FilterUpdateEvent(new URLSearchParams(url.search)));
+
+    sectionRenderer
+      .renderSection(sectionId, { target: facetsForm ?? undefined })
+      .then(() => this.#announceResults())
+      .catch(() => {
+        // The render error event shows the retry state of the facets form, which renders the URL again
+      });
+  }, 300);
+
+  /**
+   * Announces the number of results rendered for the search terms, and shows the no results message
+   */
+  #announceResults() {
+    const { liveRegion } = this.refs;
+    const noResultsMessage = this.closest('form')?.querySelector('.search-results__no-results');
+    const status = document.querySelector('results-list [data-search-status]');
+
+    // The status is only rendered when search terms are searched
+    const message = status?.textContent?.trim() ?? '';
+    const hasResults = status instanceof HTMLElement && Number(status.dataset.resultsCount) > 0;
+
+    if (liveRegion) liveRegion.textContent = message;
+
+    if (noResultsMessage instanceof HTMLElement) {
+      const text = noResultsMessage.querySelector('p');
+
+      noResultsMessage.hidden = hasResults || message === '';
+      if (text && !hasResults) text.textContent = message;
+    }
+  }
+
   #submitEmptySearch() {
     const searchInput = this.refs.searchPageInput;
 
@@ -0,0 +1,245 @@
+import { sectionRenderer } from '@theme/section-renderer';
+import { normalizeString } from '@theme/utilities';
+
+/**
+ * @typedef {Object} NormalizedSearchQuery
+ * @property {string} query - The query to search for, with the synonyms of the merchant applied
+ * @property {Promise<string | null>} correction - The query with its misspelled words corrected too, null when no
+ * word was corrected. Resolves once the titles the words are corrected against are loaded.
+ */
+
+/**
+ * @typedef {Object} SearchQueryTerm
+ * @property {string} term - The word typed by the customer, or the term of the synonym it was replaced with
+ * @property {boolean} isSynonym - Whether the term replaced a synonym, synonyms aren't corrected
+ */
+
+/**
+ * The section that renders the titles misspelled words are corrected against
+ */
+const INDEX_SECTION_ID = 'section-rendering-search-index';
+
+/**
+ * Shorter words are too ambiguous to be corrected
+ */
+const MIN_CORRECTED_LENGTH = 4;
+
+/**
+ * The words of the product and collection titles, with the number of times they are used
+ * @type {Promise<Map<string, number>> | null}
+ */
+let searchIndex = null;
+
+/**
+ * Parses the synonyms of the merchant. Each line is a group of comma-separated terms, and the terms are searched
+ * as the first term of their group, e.g. `matcha, macha, usucha` searches "usucha tea" as "matcha tea".
+ * @param {string} text - The synonyms, one group per line
+ * @returns {Map<string, string>} The term to search for, by normalized term
+ */
+export function parseSynonyms(text) {
+  /** @type {Map<string, string>} */
+  const synonyms = new Map();
+
+  for (const line of text.split('\n')) {
+    const [term, ...alternatives] = line
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+
+    if (!term) continue;
+
+    for (const alternative of alternatives) {
+      synonyms.set(normalizeString(alternative), term);
+    }
+  }
+
+  return synonyms;
+}
+
+/**
+ * Rewrites search queries with the synonyms of the merchant, and corrects misspelled words against the titles of
+ * the products and collections, so queries like "macha" or "ceremonal" still find results.
+ */
+export class SearchQueryNormalizer {
+  /**
+   * @param {Map<string, string>} synonyms - The synonyms, from `parseSynonyms`
+   */
+  constructor(synonyms) {
+    this.synonyms = synonyms;
+    this.maxSynonymLength = Math.max(0, ...Array.from(synonyms.keys(), (term) => term.split(' ').length));
+  }
+
+  /**
+   * Normalizes a search query. The synonyms are applied right away, the correction waits for the title words.
+   * @param {string} query - The query typed by the customer
+   * @returns {NormalizedSearchQuery}
+   */
+  normalize(query) {
+    const words = query.trim().split(/\s+/).filter(Boolean);
+
+    /** @type {SearchQueryTerm[]} */
+    const terms = [];
+
+    for (let position = 0; position < words.length;) {
+      const synonym = this.#findSynonym(words, position);
+
+      if (synonym) {
+        terms.push({ term: synonym.term, isSynonym: true });
+        position += synonym.length;
+        continue;
+      }
+
+      terms.push({ term: /** @type {string} */ (words[position]), isSynonym: false });
+      position++;
+    }
+
+    return {
+      query: terms.map(({ term }) => term).join(' '),
+      correction: loadSearchIndex().then((index) => this.#correct(terms, index)),
+    };
+  }
+
+  /**
+   * Corrects the misspelled words of a query
+   * @param {SearchQueryTerm[]} terms - The terms of the query, with the synonyms applied
+   * @param {Map<string, number>} index - The title words
+   * @returns {string | null} The corrected query, null when no word was corrected
+   */
+  #correct(terms, index) {
+    let corrected = false;
+
+    const correctedWords = terms.map(({ term, isSynonym }, position) => {
+      if (isSynonym) return term;
+
+      // Predictive search matches the last word as a prefix, so the word being typed isn't misspelled
+      const correction = findCorrection(term, index, position === terms.length - 1);
+      if (!correction) return term;
+
+      corrected = true;
+      return this.synonyms.get(correction) ?? correction;
+    });
+
+    return corrected ? correctedWords.join(' ') : null;
+  }
+
+  /**
+   * Finds the longest synonym starting at a word of the query
+   * @param {string[]} words - The words of the query
+   * @param {number} position - The position of the word
+   * @returns {{ term: string, length: number } | null} The term to search for, and the number of words it replaces
+   */
+  #findSynonym(words, position) {
+    for (let length = Math.min(this.maxSynonymLength, words.length - position); length > 0; length--) {
+      const term = this.synonyms.get(normalizeString(words.slice(position, position + length).join(' ')));
+      if (term) return { term, length };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Loads the words of the product and collection titles, once per page. The section is cached across pages.
+ * @returns {Promise<Map<string, number>>} The number of times each word is used, empty when it can't be loaded
+ */
+function loadSearchIndex() {
+  if (!searchIndex) {
+    const url = new URL(Theme.routes.search_url, window.location.origin);
+
+    searchIndex = sectionRenderer
+      .getSectionHTML(INDEX_SECTION_ID, true, url)
+      .then((html) => {
+        const script = new DOMParser().parseFromString(html, 'text/html').querySelector('script[data-search-index]');
+
+        /** @type {{ products: string[], collections: string[] }} */
+        const { products = [], collections = [] } = JSON.parse(script?.textContent ?? '{}');
+
+        /** @type {Map<string, number>} */
+        const words = new Map();
+
+        for (const title of [...products, ...collections]) {
+          for (const word of normalizeString(title).split(/[^\p{L}\p{N}]+/u)) {
+            if (word.length >= MIN_CORRECTED_LENGTH) words.set(word, (words.get(word) ?? 0) + 1);
+          }
+        }
+
+        return words;
+      })
+      .catch((error) => {
+        console.warn('Failed to load the search index, search terms are not corrected:', error);
+        return new Map();
+      });
+  }
+
+  return searchIndex;
+}
+
+/**
+ * Finds the closest title word to a misspelled word
+ * @param {string} word - The word of the query
+ * @param {Map<string, number>} index - The title words
+ * @param {boolean} isPrefix - Whether the word may be the start of a title word
+ * @returns {string | null} The corrected word, null when the word is spelled right or nothing is close enough
+ */
+function findCorrection(word, index, isPrefix) {
+  const normalizedWord = normalizeString(word);
+  if (normalizedWord.length < MIN_CORRECTED_LENGTH || index.has(normalizedWord)) return null;
+
+  const maxDistance = normalizedWord.length >= 8 ? 2 : 1;
+
+  /** @type {string | null} */
+  let bestWord = null;
+  let bestDistance = Infinity;
+  let bestCount = 0;
+
+  for (const [indexWord, count] of index) {
+    if (isPrefix && indexWord.startsWith(normalizedWord)) return null;
+    if (Math.abs(indexWord.length - normalizedWord.length) > maxDistance) continue;
+
+    const distance = getEditDistance(normalizedWord, indexWord);
+
+    if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+      bestWord = indexWord;
+      bestDistance = distance;
+      bestCount = count;
+    }
+  }
+
+  return bestDistance <= maxDistance ? bestWord : null;
+}
+
+/**
+ * Counts the insertions, deletions, substitutions and transpositions of adjacent characters that turn a word
+ * into another
+ * @param {string} a - A word
+ * @param {string} b - Another word
+ * @returns {number} The edit distance
+ */
+function getEditDistance(a, b) {
+  /** @type {number[][]} */
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = /** @type {number[]} */ (distances[i]);
+    const previousRow = /** @type {number[]} */ (distances[i - 1]);
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        /** @type {number} */ (previousRow[j]) + 1,
+        /** @type {number} */ (row[j - 1]) + 1,
+        /** @type {number} */ (previousRow[j - 1]) + cost
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, /** @type {number} */ (distances[i - 2]?.[j - 2]) + 1);
+      }
+
+      row[j] = distance;
+    }
+  }
+
+  return /** @type {number} */ (distances[a.length]?.[b.length]);
+}
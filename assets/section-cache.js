@@ -0,0 +1,468 @@
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} html - The section HTML
+ * @property {number} storedAt - When the entry was stored, in milliseconds since the epoch
+ * @property {string | null} cartRevision - The cart revision the HTML was rendered for, null if it doesn't depend on the cart
+ * @property {string} context - The currency, country, language and customer state the HTML was rendered for
+ */
+
+/**
+ * @typedef {Object} SectionCacheTier
+ * @property {(key: string) => SectionCacheEntry | undefined | Promise<SectionCacheEntry | undefined>} get - Gets an entry
+ * @property {(key: string, entry: SectionCacheEntry) => void | Promise<void>} set - Stores an entry
+ * @property {(key: string) => void | Promise<void>} delete - Removes an entry
+ * @property {() => void | Promise<void>} clear - Removes all entries
+ */
+
+/**
+ * @typedef {Object} SectionCacheResult
+ * @property {string} html - The section HTML
+ * @property {boolean} stale - Whether the entry is past its time to live and should be revalidated
+ */
+
+/**
+ * Keeps the most recently used entries in memory.
+ * @implements {SectionCacheTier}
+ */
+export class MemoryCacheTier {
+  /**
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * @param {number} maxEntries - The number of entries to keep
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {SectionCacheEntry | undefined}
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) return;
+
+    // Move the entry to the end of the map, which holds the most recently used entries
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+
+    return entry;
+  }
+
+  /**
+   * @param {string} key
+   * @param {SectionCacheEntry} entry
+   */
+  set(key, entry) {
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+
+    for (const oldestKey of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+      this.#entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    this.#entries.delete(key);
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+}
+
+/**
+ * Keeps entries in session storage, so they survive navigating to another page.
+ * @implements {SectionCacheTier}
+ */
+export class SessionStorageCacheTier {
+  /** @static @constant {string} The prefix of the storage keys of the entries */
+  static #KEY_PREFIX = 'theme:section:';
+  /** @static @constant {string} The storage key of the list of stored entries, from least to most recently stored */
+  static #INDEX_KEY = 'theme:section-cache';
+
+  /**
+   * @param {number} maxEntries - The number of entries to keep
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {SectionCacheEntry | undefined}
+   */
+  get(key) {
+    try {
+      const value = sessionStorage.getItem(SessionStorageCacheTier.#KEY_PREFIX + key);
+      return value ? JSON.parse(value) : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Stores an entry, removing the oldest entries when there are too many or the storage is full
+   * @param {string} key
+   * @param {SectionCacheEntry} entry
+   */
+  set(key, entry) {
+    const index = this.#getIndex().filter((indexKey) => indexKey !== key);
+    const value = JSON.stringify(entry);
+
+    while (index.length >= this.maxEntries) this.#remove(index.shift());
+
+    for (;;) {
+      try {
+        sessionStorage.setItem(SessionStorageCacheTier.#KEY_PREFIX + key, value);
+        index.push(key);
+        break;
+      } catch {
+        // The storage is full, make room by removing the oldest entry
+        if (index.length === 0) break;
+        this.#remove(index.shift());
+      }
+    }
+
+    this.#setIndex(index);
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    this.#remove(key);
+    this.#setIndex(this.#getIndex().filter((indexKey) => indexKey !== key));
+  }
+
+  clear() {
+    for (const key of this.#getIndex()) this.#remove(key);
+    sessionStorage.removeItem(SessionStorageCacheTier.#INDEX_KEY);
+  }
+
+  /**
+   * @param {string | undefined} key
+   */
+  #remove(key) {
+    if (key) sessionStorage.removeItem(SessionStorageCacheTier.#KEY_PREFIX + key);
+  }
+
+  /**
+   * @returns {string[]}
+   */
+  #getIndex() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SessionStorageCacheTier.#INDEX_KEY) || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string[]} index
+   */
+  #setIndex(index) {
+    try {
+      sessionStorage.setItem(SessionStorageCacheTier.#INDEX_KEY, JSON.stringify(index));
+    } catch (error) {
+      console.warn('Failed to store the section cache index:', error);
+    }
+  }
+}
+
+/**
+ * Keeps entries in Cache Storage, which holds more than session storage and outlives the session.
+ * @implements {SectionCacheTier}
+ */
+export class CacheStorageCacheTier {
+  /** @static @constant {string} The name of the cache */
+  static #CACHE_NAME = 'theme-sections';
+
+  /**
+   * @type {Promise<Cache> | null}
+   */
+  #cache = null;
+
+  /**
+   * @param {number} maxEntries - The number of entries to keep
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<SectionCacheEntry | undefined>}
+   */
+  async get(key) {
+    const response = await (await this.#open()).match(key);
+    if (!response) return;
+
+    return {
+      html: await response.text(),
+      storedAt: Number(response.headers.get('X-Stored-At')),
+      cartRevision: response.headers.get('X-Cart-Revision') || null,
+      context: response.headers.get('X-Context') ?? '',
+    };
+  }
+
+  /**
+   * Stores an entry, removing the oldest entries when there are too many
+   * @param {string} key
+   * @param {SectionCacheEntry} entry
+   */
+  async set(key, entry) {
+    const cache = await this.#open();
+
+    await cache.delete(key);
+    await cache.put(
+      key,
+      new Response(entry.html, {
+        headers: {
+          'Content-Type': 'text/html',
+          'X-Stored-At': String(entry.storedAt),
+          'X-Cart-Revision': entry.cartRevision ?? '',
+          'X-Context': entry.context,
+        },
+      })
+    );
+
+    // Keys are listed in the order they were stored
+    const keys = await cache.keys();
+    await Promise.all(
+      keys.slice(0, Math.max(keys.length - this.maxEntries, 0)).map((request) => cache.delete(request))
+    );
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    await (await this.#open()).delete(key);
+  }
+
+  async clear() {
+    this.#cache = null;
+    await caches.delete(CacheStorageCacheTier.#CACHE_NAME);
+  }
+
+  /**
+   * @returns {Promise<Cache>}
+   */
+  #open() {
+    if (!this.#cache) this.#cache = caches.open(CacheStorageCacheTier.#CACHE_NAME);
+
+    return this.#cache;
+  }
+}
+
+/**
+ * A size-bounded cache of section HTML, with time to live and stale-while-revalidate.
+ *
+ * Entries are looked up in memory first, then in the optional persistent tier, so sections rendered on
+ * previous pages can be shown instantly. Sections that show cart contents are invalidated when the cart changes, and
+ * only kept in memory, as the cart can also change on the server, e.g. when a product sells out or the cart expires.
+ * All sections are invalidated when the currency, country, language or customer changes.
+ */
+export class SectionCache {
+  /** @static @constant {string} The local storage key of the cart revision, shared by the tabs of the store */
+  static #CART_REVISION_KEY = 'theme:cart-revision';
+  /** @static @constant {string} The local storage key of the context the persistent entries were rendered for */
+  static #CONTEXT_KEY = 'theme:section-context';
+  /** @static @constant {RegExp} Matches the markup of sections that show cart contents */
+  static #CART_DEPENDENT_PATTERN = /<(cart-items-component|cart-icon|cart-drawer-component)[\s>]|data-cart-quantity=/;
+
+  /**
+   * The cart revision, changed every time the cart is updated
+   * @type {string}
+   */
+  #cartRevision = '';
+
+  /**
+   * The currency, country, language and customer state of the page, sections rendered for another context show
+   * the wrong prices, translations or account links
+   * @type {string}
+   */
+  #context = [
+    Shopify.currency?.active,
+    Shopify.country,
+    Shopify.locale,
+    Theme.customer?.loggedIn ? 'customer' : 'guest',
+  ].join('|');
+
+  /**
+   * @param {Object} options
+   * @param {SectionCacheTier} options.memory - The memory tier
+   * @param {SectionCacheTier | null} [options.persistent] - The tier that keeps entries across page loads
+   * @param {number} options.ttl - How long entries are fresh, in milliseconds
+   * @param {number} options.staleWhileRevalidate - How long stale entries are still used while they are
+   * revalidated, in milliseconds
+   */
+  constructor({ memory, persistent = null, ttl, staleWhileRevalidate }) {
+    this.memory = memory;
+    this.persistent = persistent;
+    this.ttl = ttl;
+    this.staleWhileRevalidate = staleWhileRevalidate;
+
+    try {
+      this.#cartRevision = localStorage.getItem(SectionCache.#CART_REVISION_KEY) ?? '';
+    } catch {
+      // The revision is only kept for this page when local storage isn't available
+    }
+
+    this.#clearPersistentOnContextChange();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    window.addEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Gets a cached section
+   * @param {string} key - The section rendering URL
+   * @returns {Promise<SectionCacheResult | null>} The cached section, or null if it isn't cached or has expired
+   */
+  async get(key) {
+    let entry = await this.memory.get(key);
+
+    if (!entry && this.persistent) {
+      try {
+        entry = await this.persistent.get(key);
+        if (entry) this.memory.set(key, entry);
+      } catch (error) {
+        console.warn('Failed to read the section cache:', error);
+      }
+    }
+
+    if (!entry) return null;
+
+    const { html, storedAt, cartRevision, context } = entry;
+    const age = Date.now() - storedAt;
+
+    if (
+      age > this.ttl + this.staleWhileRevalidate ||
+      context !== this.#context ||
+      (cartRevision !== null && cartRevision !== this.#cartRevision)
+    ) {
+      this.delete(key);
+      return null;
+    }
+
+    return { html, stale: age > this.ttl };
+  }
+
+  /**
+   * Stores a section
+   * @param {string} key - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {Object} [options]
+   * @param {boolean} [options.persist] - Whether to keep the section across page loads, defaults to true. Sections
+   * that show cart contents are never kept.
+   */
+  set(key, html, { persist = true } = {}) {
+    const cartDependent = SectionCache.#CART_DEPENDENT_PATTERN.test(html);
+
+    /** @type {SectionCacheEntry} */
+    const entry = {
+      html,
+      storedAt: Date.now(),
+      cartRevision: cartDependent ? this.#cartRevision : null,
+      context: this.#context,
+    };
+
+    this.memory.set(key, entry);
+
+    if (persist && !cartDependent && this.persistent) {
+      Promise.resolve(this.persistent.set(key, entry)).catch((error) => {
+        console.warn('Failed to store the section in the cache:', error);
+      });
+    }
+  }
+
+  /**
+   * Removes a section from all tiers
+   * @param {string} key - The section rendering URL
+   */
+  delete(key) {
+    this.memory.delete(key);
+
+    if (this.persistent) {
+      Promise.resolve(this.persistent.delete(key)).catch((error) => {
+        console.warn('Failed to remove the section from the cache:', error);
+      });
+    }
+  }
+
+  /**
+   * Removes the persistent entries when the page is rendered for another context than the previous one, like after
+   * the localization form is submitted or the customer logs in or out. The entries would be rejected anyway, this
+   * frees the storage they take.
+   */
+  #clearPersistentOnContextChange() {
+    let previousContext = null;
+
+    try {
+      previousContext = localStorage.getItem(SectionCache.#CONTEXT_KEY);
+      localStorage.setItem(SectionCache.#CONTEXT_KEY, this.#context);
+    } catch {
+      // Entries of other contexts are still rejected when they're read
+    }
+
+    if (!this.persistent || previousContext === null || previousContext === this.#context) return;
+
+    const { persistent } = this;
+    Promise.resolve()
+      .then(() => persistent.clear())
+      .catch((error) => {
+        console.warn('Failed to clear the section cache:', error);
+      });
+  }
+
+  /**
+   * Starts a new cart revision, which invalidates the sections rendered for the previous cart
+   */
+  #handleCartUpdate = () => {
+    this.#cartRevision = Date.now().toString(36);
+
+    try {
+      localStorage.setItem(SectionCache.#CART_REVISION_KEY, this.#cartRevision);
+    } catch {
+      // The other tabs invalidate their sections when the cart update is synced to them
+    }
+  };
+
+  /**
+   * Picks up the cart revisions started in other tabs
+   * @param {StorageEvent} event
+   */
+  #handleStorage = (event) => {
+    if (event.key === SectionCache.#CART_REVISION_KEY) this.#cartRevision = event.newValue ?? '';
+  };
+}
+
+/**
+ * Creates the persistent tier supported by the browser
+ * @returns {SectionCacheTier | null}
+ */
+function createPersistentTier() {
+  if (Shopify.designMode) return null;
+  if ('caches' in window && window.isSecureContext) return new CacheStorageCacheTier(50);
+  if ('sessionStorage' in window) return new SessionStorageCacheTier(20);
+
+  return null;
+}
+
+export const sectionCache = new SectionCache({
+  memory: new MemoryCacheTier(30),
+  persistent: createPersistentTier(),
+  ttl: 5 * 60 * 1000,
+  staleWhileRevalidate: 30 * 60 * 1000,
+});
@@ -1,15 +1,77 @@
+import { SectionRenderErrorEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
+import { sectionPerformance } from '@theme/performance';
+import { sectionCache } from '@theme/section-cache';
 
 /**
- * A class to re-render sections using the Section Rendering API
+ * The sections waiting to be fetched with one request, keyed by normalized section ID
+ * @typedef {Map<string, { resolve: (html: string) => void, reject: (error: unknown) => void }>} SectionBatch
  */
-class SectionRenderer {
+
+/**
+ * An error raised when a section can't be rendered
+ */
+export class SectionRenderError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {string} sectionId - The section ID
+   * @param {unknown} [cause] - The error that caused the failure
+   */
+  constructor(message, sectionId, cause) {
+    super(message);
+    this.name = 'SectionRenderError';
+    this.sectionId = sectionId;
+    this.cause = cause;
+  }
+}
+
+/**
+ * An error raised when the section request doesn't reach the server, e.g. when the visitor is offline
+ */
+export class SectionNetworkError extends SectionRenderError {
+  /**
+   * @param {string} sectionId - The section ID
+   * @param {unknown} cause - The error thrown by `fetch`
+   */
+  constructor(sectionId, cause) {
+    super(`Section ${sectionId} could not be fetched`, sectionId, cause);
+    this.name = 'SectionNetworkError';
+  }
+}
+
+/**
+ * An error raised when the server responds to the section request with an error status
+ */
+export class SectionHTTPError extends SectionRenderError {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * @param {string} sectionId - The section ID
+   * @param {number} status - The status of the response
    */
-  #cache = new Map();
+  constructor(sectionId, status) {
+    super(`Section ${sectionId} request failed with status ${status}`, sectionId);
+    this.name = 'SectionHTTPError';
+    this.status = status;
+  }
+}
 
+/**
+ * An error raised when a section is missing from the response or from the page
+ */
+export class SectionNotFoundError extends SectionRenderError {
+  /**
+   * @param {string} sectionId - The section ID
+   * @param {string} [message] - The error message
+   */
+  constructor(sectionId, message = `Section ${sectionId} not found in the section rendering response`) {
+    super(message, sectionId);
+    this.name = 'SectionNotFoundError';
+  }
+}
+
+/**
+ * A class to re-render sections using the Section Rendering API
+ */
+class SectionRenderer {
   /**
    * The abort controllers by section ID
    * @type {Map<string, AbortController>}
@@ -22,6 +84,12 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The sections waiting to be fetched together, by the URL they are rendered for
+   * @type {Map<string, SectionBatch>}
+   */
+  #batches = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
   }
@@ -33,25 +101,56 @@ class SectionRenderer {
    * @param {boolean} [options.cache] - Whether to use the cache
    * @param {'hydration'|'full'} [options.mode] - Which parts of the section to morph into the DOM
    * @param {URL} [options.url] - The URL to render the section from
+   * @param {EventTarget} [options.target] - Where to dispatch the render error event, defaults to the section element
    * @returns {Promise<string>} The rendered section HTML
+   * @throws {SectionRenderError} When the section can't be fetched
    */
   async renderSection(sectionId, options) {
+    const sections = await this.renderSections([sectionId], options);
+
+    return /** @type {string} */ (sections[sectionId]);
+  }
+
+  /**
+   * Renders several sections with a single request, morphing them into the page together.
+   * Sections requested in the same task for the same URL, e.g. by several components reacting to one event,
+   * share the request too.
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {'hydration'|'full'} [options.mode] - Which parts of the sections to morph into the DOM
+   * @param {URL} [options.url] - The URL to render the sections from
+   * @param {EventTarget} [options.target] - Where to dispatch the render error events, defaults to the section elements
+   * @returns {Promise<Record<string, string>>} The rendered sections HTML, keyed by section ID
+   * @throws {SectionRenderError} The first error when some sections can't be fetched, the others are still morphed
+   */
+  async renderSections(sectionIds, options) {
     const { cache = !Shopify.designMode, mode = 'full' } = options ?? {};
-    const { url } = options ?? {};
-    this.#abortPendingMorph(sectionId);
+    const { url, target } = options ?? {};
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
 
-    const abortController = new AbortController();
-    this.#abortControllersBySectionId.set(sectionId, abortController);
+    for (const sectionId of sectionIds) {
+      this.#abortPendingMorph(sectionId);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const { sections, errors } = await this.#settleSectionsHTML(sectionIds, cache, url);
+
+    for (const [sectionId, abortController] of abortControllers) {
+      if (abortController.signal.aborted) continue;
 
-    if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
 
-      morphSection(sectionId, sectionHTML, mode);
+      const sectionHTML = sections[sectionId];
+      if (sectionHTML !== undefined) morphSection(sectionId, sectionHTML, mode);
     }
 
-    return sectionHTML;
+    return this.#throwRenderErrors(sections, errors, url, target);
   }
 
   /**
@@ -70,49 +169,370 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {Object} [options] - The options
+   * @param {EventTarget} [options.target] - Where to dispatch the render error event, defaults to the section element
    * @returns {Promise<string>} The rendered section HTML
+   * @throws {SectionRenderError} When the section can't be fetched
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), options = {}) {
+    try {
+      return await this.#getSectionHTML(sectionId, useCache, url);
+    } catch (error) {
+      const renderError = toSectionRenderError(sectionId, error);
+      this.#dispatchRenderError(renderError, url, options.target);
+      throw renderError;
+    }
+  }
+
+  /**
+   * @param {string} sectionId - The section ID
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the section for
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  async #getSectionHTML(sectionId, useCache, url) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
-    let pendingPromise = this.#pendingPromises.get(sectionUrl);
+    const pendingPromise = this.#pendingPromises.get(sectionUrl);
     if (pendingPromise) return pendingPromise;
 
     if (useCache) {
-      const cachedHTML = this.#cache.get(sectionUrl);
-
-      if (cachedHTML) return cachedHTML;
+      const cached = await sectionCache.get(sectionUrl);
+
+      if (cached) {
+        // Stale sections are shown right away and refreshed in the background for the next render
+        if (cached.stale) {
+          this.#fetchSectionHTML(sectionId, sectionUrl).catch((error) => {
+            console.warn(`Failed to revalidate section ${sectionId}:`, error);
+          });
+        }
+
+        return cached.html;
+      }
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
+    return this.#fetchSectionHTML(sectionId, sectionUrl);
+  }
+
+  /**
+   * Gets the HTML for several sections, fetching the ones that aren't cached with a single request
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {Object} [options] - The options
+   * @param {EventTarget} [options.target] - Where to dispatch the render error events, defaults to the section elements
+   * @returns {Promise<Record<string, string>>} The rendered sections HTML, keyed by section ID
+   * @throws {SectionRenderError} The first error when some sections can't be fetched
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), options = {}) {
+    const { sections, errors } = await this.#settleSectionsHTML(sectionIds, useCache, url);
+
+    return this.#throwRenderErrors(sections, errors, url, options.target);
+  }
+
+  /**
+   * Gets the HTML for several sections, collecting the errors of the sections that can't be fetched
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} [url] - The URL to render the sections for
+   * @returns {Promise<{ sections: Record<string, string>, errors: SectionRenderError[] }>}
+   */
+  async #settleSectionsHTML(sectionIds, useCache, url = new URL(window.location.href)) {
+    const renders = sectionIds.map(async (sectionId) => {
+      const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      if (pendingPromise) return pendingPromise;
+
+      if (!useCache) return this.#requestSectionHTML(sectionId, sectionUrl, url);
+
+      const cached = await sectionCache.get(sectionUrl);
+      if (!cached) return this.#requestSectionHTML(sectionId, sectionUrl, url);
+
+      // Stale sections are shown right away and refreshed in the background for the next render
+      if (cached.stale) {
+        this.#requestSectionHTML(sectionId, sectionUrl, url).catch((error) => {
+          console.warn(`Failed to revalidate section ${sectionId}:`, error);
+        });
+      }
+
+      return cached.html;
     });
 
+    const results = await Promise.allSettled(renders);
+
+    /** @type {Record<string, string>} */
+    const sections = {};
+    /** @type {SectionRenderError[]} */
+    const errors = [];
+
+    sectionIds.forEach((sectionId, index) => {
+      const result = /** @type {PromiseSettledResult<string>} */ (results[index]);
+
+      if (result.status === 'fulfilled') {
+        sections[sectionId] = result.value;
+      } else {
+        errors.push(toSectionRenderError(sectionId, result.reason));
+      }
+    });
+
+    return { sections, errors };
+  }
+
+  /**
+   * Dispatches the render errors of a request, then throws the first one
+   * @param {Record<string, string>} sections - The rendered sections HTML, keyed by section ID
+   * @param {SectionRenderError[]} errors - The errors of the sections that couldn't be fetched
+   * @param {URL} [url] - The URL the sections were rendered for
+   * @param {EventTarget} [target] - Where to dispatch the render error events
+   * @returns {Record<string, string>} The rendered sections HTML, when there are no errors
+   */
+  #throwRenderErrors(sections, errors, url = new URL(window.location.href), target) {
+    for (const error of errors) this.#dispatchRenderError(error, url, target);
+
+    if (errors[0]) throw errors[0];
+
+    return sections;
+  }
+
+  /**
+   * Lets components show a retry state when a section they are waiting for can't be rendered
+   * @param {SectionRenderError} error - The render error
+   * @param {URL} url - The URL the section was rendered for
+   * @param {EventTarget} [target] - Where to dispatch the event, defaults to the section element
+   */
+  #dispatchRenderError(error, url, target) {
+    const eventTarget =
+      target ?? document.getElementById(buildSectionSelector(normalizeSectionId(error.sectionId))) ?? document;
+
+    eventTarget.dispatchEvent(new SectionRenderErrorEvent(error.sectionId, error, url));
+  }
+
+  /**
+   * Adds a section to the batch of sections fetched for a URL, the batch is fetched once the current task is done
+   * @param {string} sectionId - The section ID
+   * @param {string} sectionUrl - The section rendering URL, used as the cache key
+   * @param {URL} url - The URL to render the section for
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  #requestSectionHTML(sectionId, sectionUrl, url) {
+    const pendingPromise = this.#pendingPromises.get(sectionUrl);
+    if (pendingPromise) return pendingPromise;
+
+    const batchUrl = new URL(url);
+    batchUrl.searchParams.delete('section_id');
+    batchUrl.searchParams.delete('sections');
+
+    const batch = this.#batches.get(batchUrl.toString()) ?? this.#createBatch(batchUrl);
+
+    /** @type {Promise<string>} */
+    const promise = new Promise((resolve, reject) => {
+      batch.set(normalizeSectionId(sectionId), { resolve, reject });
+    })
+      .then((sectionHTML) => {
+        sectionCache.set(sectionUrl, sectionHTML);
+        return sectionHTML;
+      })
+      .finally(() => this.#pendingPromises.delete(sectionUrl));
+
+    this.#pendingPromises.set(sectionUrl, promise);
+
+    return promise;
+  }
+
+  /**
+   * Creates a batch of sections for a URL, fetched once the current task is done
+   * @param {URL} url - The URL to render the sections for
+   * @returns {SectionBatch}
+   */
+  #createBatch(url) {
+    /** @type {SectionBatch} */
+    const batch = new Map();
+
+    this.#batches.set(url.toString(), batch);
+    queueMicrotask(() => this.#fetchBatch(url, batch));
+
+    return batch;
+  }
+
+  /**
+   * Fetches a batch of sections using the `sections` parameter of the Section Rendering API
+   * @param {URL} url - The URL to render the sections for
+   * @param {SectionBatch} batch - The sections to fetch
+   */
+  #fetchBatch(url, batch) {
+    this.#batches.delete(url.toString());
+
+    const sectionIds = [...batch.keys()];
+
+    for (let index = 0; index < sectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      const chunk = sectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST);
+      const requestUrl = new URL(url);
+      requestUrl.searchParams.set('sections', chunk.join(','));
+
+      const renderMarker = sectionPerformance.createStartingMarker(`render:${chunk.join(',')}`);
+
+      fetchWithRetry(requestUrl)
+        .then(
+          async (response) => {
+            if (!response.ok) {
+              for (const sectionId of chunk) {
+                batch.get(sectionId)?.reject(new SectionHTTPError(sectionId, response.status));
+              }
+              return;
+            }
+
+            /** @type {Record<string, string | null>} */
+            const sections = await response.json();
+            sectionPerformance.measureFromMarker(renderMarker, { sectionId: chunk.join(',') });
+
+            for (const sectionId of chunk) {
+              const sectionHTML = sections[sectionId];
+              const request = batch.get(sectionId);
+
+              if (typeof sectionHTML === 'string') {
+                request?.resolve(sectionHTML);
+              } else {
+                request?.reject(new SectionNotFoundError(sectionId));
+              }
+            }
+          },
+          (error) => {
+            for (const sectionId of chunk) batch.get(sectionId)?.reject(new SectionNetworkError(sectionId, error));
+          }
+        )
+        .catch((error) => {
+          // Only reaches the sections still waiting, when the response couldn't be read
+          for (const sectionId of chunk) batch.get(sectionId)?.reject(toSectionRenderError(sectionId, error));
+        });
+    }
+  }
+
+  /**
+   * Fetches the HTML for a section and caches it
+   * @param {string} sectionId - The section ID
+   * @param {string} sectionUrl - The section rendering URL
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  async #fetchSectionHTML(sectionId, sectionUrl) {
+    let pendingPromise = this.#pendingPromises.get(sectionUrl);
+    if (pendingPromise) return pendingPromise;
+
+    const renderMarker = sectionPerformance.createStartingMarker(`render:${normalizeSectionId(sectionId)}`);
+
+    pendingPromise = fetchWithRetry(sectionUrl).then(
+      (response) => {
+        if (!response.ok) throw new SectionHTTPError(sectionId, response.status);
+
+        return response.text();
+      },
+      (error) => {
+        throw new SectionNetworkError(sectionId, error);
+      }
+    );
+
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    let sectionHTML;
+    try {
+      sectionHTML = await pendingPromise;
+    } finally {
+      this.#pendingPromises.delete(sectionUrl);
+    }
+
+    sectionPerformance.measureFromMarker(renderMarker, { sectionId: normalizeSectionId(sectionId) });
 
-    this.#cache.set(sectionUrl, sectionHTML);
+    sectionCache.set(sectionUrl, sectionHTML);
     return sectionHTML;
   }
 
   /**
-   * Caches the page sections
+   * Caches the page sections in memory, they are already part of the page on the next visit
    */
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
       if (containsShadowRoot(section)) return;
 
-      this.#cache.set(url, section.outerHTML);
+      sectionCache.set(url, section.outerHTML, { persist: false });
     }
   }
 }
 
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/**
+ * The maximum number of sections the Section Rendering API renders in one request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/**
+ * The number of times a request is retried after a rate limit or server error
+ */
+const MAX_RETRIES = 3;
+
+/**
+ * The delay before the first retry, in milliseconds, doubled for each following retry
+ */
+const RETRY_BASE_DELAY = 500;
+
+/**
+ * The longest delay worth waiting before a retry, in milliseconds
+ */
+const MAX_RETRY_DELAY = 10000;
+
+/**
+ * Fetches a section rendering URL, retrying rate limited requests and server errors with exponential backoff.
+ * The `Retry-After` header of the response is honoured when present.
+ * @param {URL | string} url - The section rendering URL
+ * @returns {Promise<Response>} The response, which is not ok when it can't be retried any more
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url);
+    if (response.ok || attempt >= MAX_RETRIES) return response;
+    if (response.status !== 429 && response.status < 500) return response;
+
+    const delay = getRetryDelay(response, attempt);
+    if (delay > MAX_RETRY_DELAY) return response;
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Gets how long to wait before retrying a request
+ * @param {Response} response - The failed response
+ * @param {number} attempt - The number of retries so far
+ * @returns {number} The delay, in milliseconds
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response.headers.get('Retry-After');
+
+  if (retryAfter) {
+    // The header is either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+
+    if (!Number.isNaN(delay)) return Math.max(delay, 0);
+  }
+
+  // Jitter keeps the components that failed together from retrying at the same time
+  return RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+}
+
+/**
+ * Wraps unexpected errors so section render errors always carry the section ID
+ * @param {string} sectionId - The section ID
+ * @param {unknown} error - The error
+ * @returns {SectionRenderError}
+ */
+function toSectionRenderError(sectionId, error) {
+  if (error instanceof SectionRenderError) return error;
+
+  return new SectionRenderError(`Section ${sectionId} could not be rendered`, sectionId, error);
+}
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -170,11 +590,11 @@ export async function morphSection(sectionId, html, mode = 'full') {
   const newElement = fragment.getElementById(buildSectionSelector(sectionId));
 
   if (!existingElement) {
-    throw new Error(`Section ${sectionId} not found`);
+    throw new SectionNotFoundError(sectionId, `Section ${sectionId} not found`);
   }
 
   if (!newElement) {
-    throw new Error(`Section ${sectionId} not found in the section rendering response`);
+    throw new SectionNotFoundError(sectionId);
   }
 
   morph(existingElement, newElement, {
@@ -0,0 +1,113 @@
+import { Component } from '@theme/component';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets buyers choose between a one-time purchase and a subscription.
+ *
+ * @typedef {object} SellingPlanPickerRefs
+ * @property {HTMLInputElement} [oneTimeOption] - The one-time purchase option, missing when the product requires a selling plan.
+ * @property {HTMLInputElement} subscriptionOption - The subscription option.
+ * @property {HTMLElement} frequency - The delivery frequency container.
+ * @property {HTMLSelectElement} sellingPlanSelect - The delivery frequency select.
+ *
+ * @extends {Component<SellingPlanPickerRefs>}
+ */
+export class SellingPlanPickerComponent extends Component {
+  requiredRefs = ['subscriptionOption', 'frequency', 'sellingPlanSelect'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Listen on the document so the price blocks of the section have been updated for the new variant first
+    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal: this.#abortController.signal,
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * The id of the selected selling plan, or null for a one-time purchase.
+   * @returns {string | null}
+   */
+  get sellingPlanId() {
+    const { subscriptionOption, sellingPlanSelect } = this.refs;
+
+    if (!subscriptionOption.checked || subscriptionOption.disabled) return null;
+
+    return sellingPlanSelect.value || null;
+  }
+
+  /**
+   * Handles a change of purchase option or delivery frequency.
+   */
+  handleChange() {
+    this.#update();
+  }
+
+  /**
+   * Shows the delivery frequency for subscriptions and dispatches the prices of the selected option.
+   */
+  #update() {
+    const { oneTimeOption, frequency, sellingPlanSelect } = this.refs;
+    const sellingPlanId = this.sellingPlanId;
+
+    frequency.hidden = sellingPlanId === null;
+
+    const source = sellingPlanId ? sellingPlanSelect.selectedOptions[0] : oneTimeOption;
+    if (!source) return;
+
+    const { price = '', compareAtPrice, perDeliveryPrice } = source.dataset;
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent(sellingPlanId ? { id: sellingPlanId } : null, this.id, {
+        productId: this.dataset.productId ?? '',
+        price,
+        compareAtPrice: compareAtPrice || undefined,
+        perDeliveryPrice: perDeliveryPrice || undefined,
+      })
+    );
+  }
+
+  /**
+   * Renders the plans of the new variant, keeping the selected plan when it is still available.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPicker = event.detail.data.html?.querySelector(
+      `selling-plan-picker[data-block-id="${this.dataset.blockId}"]`
+    );
+    if (!newPicker) return;
+
+    const sellingPlanId = this.sellingPlanId;
+
+    morph(this, newPicker);
+
+    const { subscriptionOption, sellingPlanSelect } = this.refs;
+    const hasSellingPlan = Array.from(sellingPlanSelect.options).some((option) => option.value === sellingPlanId);
+
+    if (sellingPlanId && hasSellingPlan && !subscriptionOption.disabled) {
+      subscriptionOption.checked = true;
+      sellingPlanSelect.value = sellingPlanId;
+    }
+
+    this.#update();
+  };
+}
+
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define('selling-plan-picker', SellingPlanPickerComponent);
+}
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, QuantitySelectorUpdateEvent } from '@theme/events';
+import { ThemeEvents, QuantitySelectorUpdateEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 import { onAnimationEnd } from '@theme/utilities';
 
@@ -201,6 +201,12 @@ class StickyAddToCartComponent extends Component {
 
     const variant = event.detail.resource;
 
+    // The variant was resolved in the browser, the image and price follow with the markup of the section
+    if (!event.detail.data.html) {
+      this.#renderVariant(variant);
+      return;
+    }
+
     // Get the new sticky add to cart HTML from the server response
     const newStickyAddToCart = event.detail.data.html.querySelector('sticky-add-to-cart');
     if (!newStickyAddToCart) return;
@@ -237,6 +243,21 @@ class StickyAddToCartComponent extends Component {
     this.#updateButtonText();
   };
 
+  /**
+   * Updates the availability and the title of a variant resolved in the browser.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant.
+   */
+  #renderVariant(variant) {
+    this.dataset.currentVariantId = variant.id;
+    this.dataset.variantAvailable = String(variant.available);
+    this.refs.addToCartButton.disabled = !variant.available;
+
+    const variantTitleElement = this.querySelector('.sticky-add-to-cart__variant');
+    if (variantTitleElement && variant.title) variantTitleElement.textContent = variant.title;
+
+    this.#updateButtonText();
+  }
+
   /**
    * Handles variant selected events
    * @param {CustomEvent} event - The variant selected event
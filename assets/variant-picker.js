@@ -1,13 +1,58 @@
 import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
-import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme/utilities';
+import { yieldToMainThread, getViewParameterValue, ResizeNotifier, debounce, isLowPowerDevice } from '@theme/utilities';
+import { interactionPerformance } from '@theme/performance';
 
 /**
  * @typedef {object} VariantPickerRefs
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
+ * @property {HTMLTemplateElement} [strikethroughTemplate] - The strikethrough of the unavailable option values.
  */
 
+/**
+ * @typedef {object} Variant
+ * @property {string} id - The variant ID.
+ * @property {string[]} options - The option values of the variant, in the order of the options.
+ * @property {boolean} available - Whether the variant is available.
+ * @property {boolean} inventory_management - Whether the variant has inventory management.
+ */
+
+/**
+ * The variants of the product, with the option values of each option.
+ * @typedef {object} VariantMatrix
+ * @property {{ id: string, name: string }[][]} options - The option values, by option.
+ * @property {Variant[]} variants - The variants.
+ */
+
+/**
+ * The number of prefetched sections kept, the oldest one is dropped first.
+ */
+const PREFETCH_CACHE_SIZE = 6;
+
+/**
+ * How long a prefetched section is used for, in milliseconds. The inventory of the variant might change after that.
+ */
+const PREFETCH_MAX_AGE = 60 * 1000;
+
+/**
+ * Tells if sections can be prefetched, which is skipped when the customer saves data and on low power devices.
+ * @returns {boolean} True if sections can be prefetched.
+ */
+function canPrefetch() {
+  return !(/** @type {any} */ (navigator).connection?.saveData) && !isLowPowerDevice();
+}
+
+/**
+ * Finds the variants with the given values for their first options.
+ * @param {Variant[]} variants - The variants.
+ * @param {string[]} values - The option values, in the order of the options.
+ * @returns {Variant[]} The matching variants.
+ */
+function findVariants(variants, values) {
+  return variants.filter((variant) => values.every((value, index) => variant.options[index] === value));
+}
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -27,6 +72,15 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /** @type {VariantMatrix | null | undefined} */
+  #variantMatrix;
+
+  /**
+   * The sections prefetched when hovering or focusing an option value, by request URL.
+   * @type {Map<string, { response: Promise<string>, time: number }>}
+   */
+  #prefetchedSections = new Map();
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
@@ -70,7 +124,8 @@ export default class VariantPicker extends Component {
     const isOnProductPage =
       this.dataset.templateProductMatch === 'true' &&
       !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+      !event.target.closest('quick-add-dialog') &&
+      !event.target.closest('bundle-builder-component');
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
@@ -85,7 +140,14 @@ export default class VariantPicker extends Component {
       ? 'featured-product-information'
       : undefined;
 
-    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
+    const requestUrl = this.buildRequestUrl(selectedOption);
+
+    if (!morphElementSelector && this.#resolveVariant(selectedOption)) {
+      // The section is only fetched for the fragments rendered by the server, like the inventory or the quantity rules
+      if (this.refreshesSection) this.fetchUpdatedSection(requestUrl, undefined, true);
+    } else {
+      this.fetchUpdatedSection(requestUrl, morphElementSelector);
+    }
 
     const url = new URL(window.location.href);
 
@@ -111,6 +173,76 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Prefetches the section of the option value being hovered or focused, so it's ready when the option is selected.
+   * @param {Event} event - The pointerenter or focus event.
+   */
+  prefetchOption = debounce((event) => {
+    if (!(event.target instanceof HTMLElement) || !this.refreshesSection || !canPrefetch()) return;
+
+    const input = event.target instanceof HTMLInputElement ? event.target : event.target.querySelector('input');
+    const fieldset = input?.closest('fieldset.variant-option');
+
+    if (!(input instanceof HTMLInputElement) || !fieldset || input.checked) return;
+
+    const checkedInput = /** @type {HTMLInputElement | null} */ (fieldset.querySelector('input:checked'));
+    const checkedOptionValueId = checkedInput?.dataset.optionValueId;
+    const { optionValueId } = input.dataset;
+
+    if (!checkedOptionValueId || !optionValueId) return;
+
+    const optionValueIds = this.selectedOptionsValues.map((id) => (id === checkedOptionValueId ? optionValueId : id));
+
+    this.#prefetchSection(this.buildRequestUrl(input, 'prefetch', optionValueIds));
+  }, 100);
+
+  cancelPrefetchOption = () => this.prefetchOption.cancel();
+
+  /**
+   * Fetches a section in the background and keeps its response for a while.
+   * @param {string} requestUrl - The request URL.
+   */
+  #prefetchSection(requestUrl) {
+    const prefetched = this.#prefetchedSections.get(requestUrl);
+    if (prefetched && Date.now() - prefetched.time < PREFETCH_MAX_AGE) return;
+
+    const response = fetch(requestUrl).then((response) => {
+      if (!response.ok) throw new Error(`Failed to prefetch the section: ${response.status}`);
+      return response.text();
+    });
+
+    // Prefetching is best effort, the section is fetched again when the option is selected
+    response.catch(() => {
+      if (this.#prefetchedSections.get(requestUrl)?.response === response) {
+        this.#prefetchedSections.delete(requestUrl);
+      }
+    });
+
+    this.#prefetchedSections.delete(requestUrl);
+    this.#prefetchedSections.set(requestUrl, { response, time: Date.now() });
+
+    // Maps keep their insertion order, so the first sections are the oldest ones
+    for (const url of this.#prefetchedSections.keys()) {
+      if (this.#prefetchedSections.size <= PREFETCH_CACHE_SIZE) break;
+      this.#prefetchedSections.delete(url);
+    }
+  }
+
+  /**
+   * Gets the response of a section, from the prefetched sections when it was warmed recently.
+   * @param {string} requestUrl - The request URL.
+   * @param {AbortSignal} signal - The signal to abort the fetch.
+   * @returns {Promise<string>} The section HTML.
+   */
+  #getSectionResponse(requestUrl, signal) {
+    const prefetched = this.#prefetchedSections.get(requestUrl);
+    const fetchSection = () => fetch(requestUrl, { signal }).then((response) => response.text());
+
+    if (!prefetched || Date.now() - prefetched.time >= PREFETCH_MAX_AGE) return fetchSection();
+
+    return prefetched.response.catch(fetchSection);
+  }
+
   /**
    * @typedef {object} FieldsetMeasurements
    * @property {HTMLFieldSetElement} fieldset
@@ -247,10 +379,130 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Resolves the selected variant from the variant matrix, updates the availability of the option values and
+   * dispatches the variant update without waiting for the section.
+   * @param {HTMLElement} selectedOption - The selected option.
+   * @returns {boolean} Whether the variant was resolved, the section has to be fetched first otherwise.
+   */
+  #resolveVariant(selectedOption) {
+    const matrix = this.variantMatrix;
+
+    // Options connected to other products (combined listings) are resolved by the server
+    if (!matrix || selectedOption.dataset.connectedProductUrl || !this.selectedOptionId) return false;
+
+    const selectedValues = this.selectedOptionsValues.map(
+      (optionValueId, index) => matrix.options[index]?.find((value) => value.id === optionValueId)?.name ?? ''
+    );
+
+    const [variant] = findVariants(matrix.variants, selectedValues);
+
+    // The server falls back to another variant when the combination doesn't exist
+    if (!variant || selectedValues.length !== variant.options.length) return false;
+
+    this.#updateAvailability(matrix, selectedValues);
+
+    const variantScript = this.querySelector('script[type="application/json"]:not([data-variant-matrix])');
+    if (variantScript) variantScript.textContent = JSON.stringify(variant);
+
+    this.dispatchEvent(
+      new VariantUpdateEvent(variant, this.selectedOptionId, {
+        html: null,
+        productId: this.dataset.productId ?? '',
+      })
+    );
+
+    return true;
+  }
+
+  /**
+   * Updates the availability and the variant of the option values for the selected values, like the server does:
+   * an option value is available when a variant with the values selected for the previous options is.
+   * @param {VariantMatrix} matrix - The variant matrix.
+   * @param {string[]} selectedValues - The selected values, in the order of the options.
+   */
+  #updateAvailability(matrix, selectedValues) {
+    this.querySelectorAll('fieldset, select').forEach((option, optionIndex) => {
+      const values = matrix.options[optionIndex];
+      if (!values) return;
+
+      const swatchValue = option.querySelector('.variant-option__swatch-value');
+      if (swatchValue) swatchValue.textContent = selectedValues[optionIndex] ?? '';
+
+      for (const element of option.querySelectorAll('input[data-option-value-id], option[data-option-value-id]')) {
+        if (!(element instanceof HTMLInputElement || element instanceof HTMLOptionElement)) continue;
+
+        const value = values.find(({ id }) => id === element.dataset.optionValueId);
+        if (!value) continue;
+
+        const optionValues = selectedValues.map((selectedValue, index) =>
+          index === optionIndex ? value.name : selectedValue
+        );
+        const variants = findVariants(matrix.variants, optionValues.slice(0, optionIndex + 1));
+        const available = variants.some((variant) => variant.available);
+        const variant =
+          findVariants(variants, optionValues)[0] ?? variants.find((variant) => variant.available) ?? variants[0];
+
+        if (variant) {
+          element.dataset.variantId = String(variant.id);
+        } else {
+          delete element.dataset.variantId;
+        }
+
+        if (element instanceof HTMLInputElement) {
+          this.#updateInputAvailability(element, available);
+        } else {
+          const unavailableLabel = option instanceof HTMLElement ? option.dataset.unavailableLabel : undefined;
+          element.textContent = available || !unavailableLabel ? value.name : `${value.name} - ${unavailableLabel}`;
+        }
+      }
+    });
+  }
+
+  /**
+   * Updates the availability of an option value button or swatch.
+   * @param {HTMLInputElement} input - The input of the option value.
+   * @param {boolean} available - Whether the option value is available.
+   */
+  #updateInputAvailability(input, available) {
+    input.dataset.optionAvailable = String(available);
+
+    if (available) {
+      input.removeAttribute('aria-disabled');
+    } else {
+      input.setAttribute('aria-disabled', 'true');
+    }
+
+    const label = input.parentElement;
+    if (!label) return;
+
+    const strikethrough = label.querySelector('.variant-option__strikethrough');
+    const template = /** @type {HTMLTemplateElement | undefined} */ (this.refs.strikethroughTemplate);
+
+    if (available) {
+      strikethrough?.remove();
+    } else if (!strikethrough && template) {
+      label.append(template.content.cloneNode(true));
+    }
+
+    if (label.classList.contains('variant-option__button-label--has-swatch')) return;
+
+    const pill = label.querySelector('.variant-option__button-label__pill');
+
+    if (!available) {
+      pill?.remove();
+    } else if (!pill) {
+      const newPill = document.createElement('span');
+      newPill.className = 'variant-option__button-label__pill';
+      newPill.dataset.key = 'variant-option-pill';
+      input.after(newPill);
+    }
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
-   * @param {string | null} [source] - The source.
+   * @param {string | null} [source] - The source, `product-card` or `prefetch`.
    * @param {string[]} [sourceSelectedOptionsValues] - The source selected options values.
    * @returns {string} The request URL.
    */
@@ -258,7 +510,9 @@ export default class VariantPicker extends Component {
     // this productUrl and pendingRequestUrl will be useful for the support of combined listing. It is used when a user changes variant quickly and those products are using separate URLs (combined listing).
     // We create a new URL and abort the previous fetch request if it's still pending.
     let productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
-    this.#pendingRequestUrl = productUrl;
+
+    // Prefetching doesn't select the option, so there is no request pending for it
+    if (source !== 'prefetch') this.#pendingRequestUrl = productUrl;
     const params = [];
     const viewParamValue = getViewParameterValue();
 
@@ -273,6 +527,8 @@ export default class VariantPicker extends Component {
       } else {
         params.push(`option_values=${selectedOption.dataset.optionValueId}`);
       }
+    } else if (source === 'prefetch') {
+      params.push(`option_values=${sourceSelectedOptionsValues.join(',')}`);
     }
 
     // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
@@ -300,21 +556,29 @@ export default class VariantPicker extends Component {
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
    * @param {string} [morphElementSelector] - The selector of the element to be morphed. By default, only the variant picker is morphed.
+   * @param {boolean} [refresh] - Whether the variant was already updated, and the section only refreshes its fragments.
    */
-  fetchUpdatedSection(requestUrl, morphElementSelector) {
+  fetchUpdatedSection(requestUrl, morphElementSelector, refresh = false) {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    const { signal } = this.#abortController;
+    const variantChangeMarker = interactionPerformance.createStartingMarker('variant-change');
+
+    this.#getSectionResponse(requestUrl, signal)
       .then((responseText) => {
+        // Prefetched sections aren't aborted with the fetch
+        if (signal.aborted) return;
+
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         // Defer is only useful for the initial rendering of the page. Remove it here.
         html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
 
-        const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
+        const textContent = this.#findVariantPickerSource(html, 'variant-picker')?.querySelector(
+          'script[type="application/json"]'
+        )?.textContent;
         if (!textContent) return;
 
         if (morphElementSelector === 'main') {
@@ -331,10 +595,15 @@ export default class VariantPicker extends Component {
                 html,
                 productId: this.dataset.productId ?? '',
                 newProduct,
+                refresh,
               })
             );
           }
         }
+
+        interactionPerformance.measureFromMarker(variantChangeMarker, {
+          morphElement: morphElementSelector ?? 'variant-picker',
+        });
       })
       .catch((error) => {
         if (error.name === 'AbortError') {
@@ -351,6 +620,20 @@ export default class VariantPicker extends Component {
    * @property {string} url
    */
 
+  /**
+   * Finds the variant picker rendered for this one, by its block when the section renders several of them, like the
+   * slots of a bundle.
+   * @param {Document | Element} newHtml - The new HTML.
+   * @param {string} selector - The selector of the variant picker.
+   * @returns {Element | null}
+   */
+  #findVariantPickerSource(newHtml, selector) {
+    const { blockId } = this.dataset;
+    const blockVariantPicker = blockId ? newHtml.querySelector(`${selector}[data-block-id="${blockId}"]`) : null;
+
+    return blockVariantPicker ?? newHtml.querySelector(selector);
+  }
+
   /**
    * Re-renders the variant picker.
    * @param {Document | Element} newHtml - The new HTML.
@@ -360,7 +643,7 @@ export default class VariantPicker extends Component {
     /** @type {NewProduct | undefined} */
     let newProduct;
 
-    const newVariantPickerSource = newHtml.querySelector(this.tagName.toLowerCase());
+    const newVariantPickerSource = this.#findVariantPickerSource(newHtml, this.tagName.toLowerCase());
 
     if (!newVariantPickerSource) {
       throw new Error('No new variant picker source found');
@@ -373,6 +656,8 @@ export default class VariantPicker extends Component {
 
       if (newProductId && newProductUrl && this.dataset.productId !== newProductId) {
         newProduct = { id: newProductId, url: newProductUrl };
+        // The variant matrix changes with the product
+        this.#variantMatrix = undefined;
       }
 
       this.dataset.productId = newProductId;
@@ -435,6 +720,27 @@ export default class VariantPicker extends Component {
     morph(main, newMain);
   }
 
+  /**
+   * Gets the variants of the product with the option values of each option, when every variant is listed.
+   * @returns {VariantMatrix | null} The variant matrix.
+   */
+  get variantMatrix() {
+    if (this.#variantMatrix === undefined) {
+      const textContent = this.querySelector('script[data-variant-matrix]')?.textContent;
+      this.#variantMatrix = textContent ? JSON.parse(textContent) : null;
+    }
+
+    return this.#variantMatrix ?? null;
+  }
+
+  /**
+   * Whether the section is fetched to refresh the fragments rendered by the server once the variant is resolved.
+   * @returns {boolean}
+   */
+  get refreshesSection() {
+    return this.dataset.refreshSection !== 'false';
+  }
+
   /**
    * Gets the selected option.
    * @returns {HTMLInputElement | HTMLOptionElement | undefined} The selected option.